@@ -16,6 +16,15 @@ class Component {
         this._isMounted = false;
         this.setState = this.setState.bind(this);
         this.blockElements = new Map(); // To store references to block DOM elements
+        this.renderer = paperfoldDomRenderer; // Set by the app (or the parent) before mounting
+        this._containerSize = null;
+        this._resizeObserver = null;
+        this._windowResizeHandler = null;
+        this._listeners = [];
+        this.parent = null;
+        this.children = new Map(); // Child components rendered by the last render, by key
+        this._previousChildren = new Map();
+        this.camera = null; // Set with setCamera
     }
 
     /**
@@ -38,13 +47,50 @@ class Component {
         throw new Error("Component must implement a render() method.");
     }
 
+    /**
+     * Renders a child component from inside `render()` and returns its element to place in the tree.
+     * A child rendered again under the same key keeps its instance and state and re-renders with
+     * the new props; children not rendered again are unmounted. The child's `setState` only
+     * re-renders the child's own subtree.
+     * @param {typeof Component} ChildComponent - The child's class.
+     * @param {object} [props={}] - Props for the child.
+     * @param {string|number} [key] - Identifies the child across renders. Defaults to its class
+     * name and position among this render's children.
+     * @returns {HTMLElement} The child's root element.
+     */
+    renderChild(ChildComponent, props = {}, key) {
+        const childKey = key !== undefined ? String(key) : `${ChildComponent.name}:${this.children.size}`;
+        if (this.children.has(childKey)) {
+            console.error(`Component.renderChild: Duplicate child key '${childKey}'.`);
+        }
+        let child = this._previousChildren.get(childKey);
+        this._previousChildren.delete(childKey);
+        if (child && !(child instanceof ChildComponent)) {
+            child._unmount();
+            child = null;
+        }
+
+        if (child) {
+            child._receiveProps(props);
+        } else {
+            child = new ChildComponent(props);
+            child.parent = this;
+            child.renderer = this.renderer;
+            child._mount();
+        }
+        this.children.set(childKey, child);
+        childRootNodes.add(child.element);
+        return child.element;
+    }
+
     /**
      * Called when the component is first mounted to the DOM.
      * @returns {HTMLElement} The initial DOM element of the component.
      */
     _mount() {
-        this.element = this.render();
+        this.element = this._renderTree();
         this._isMounted = true;
+        this._observeContainer();
         if (typeof this.componentDidMount === 'function') {
             this.componentDidMount();
         }
@@ -52,466 +98,5393 @@ class Component {
     }
 
     /**
-     * Re-renders the component and updates the DOM.
+     * Converts a pointer event's client coordinates to the coordinates blocks use inside this
+     * component's element (relative to its padding box), through the camera if there is one.
+     * @param {{clientX: number, clientY: number}} event - The pointer event.
+     * @returns {{x: number, y: number}} The position.
+     */
+    getPointerPosition(event) {
+        const element = this.element;
+        let position = { x: event.clientX, y: event.clientY };
+        if (element && typeof element.getBoundingClientRect === 'function') {
+            const rect = element.getBoundingClientRect();
+            position = {
+                x: event.clientX - rect.left - (element.clientLeft || 0),
+                y: event.clientY - rect.top - (element.clientTop || 0)
+            };
+        }
+        return this.camera ? this.camera.viewToWorld(position.x, position.y) : position;
+    }
+
+    /**
+     * Views this component's blocks through a camera, so they live in world coordinates that
+     * can be panned and zoomed (see Camera). Pass null to go back to drawing blocks at their
+     * own coordinates.
+     * @param {Camera|null} camera - The camera.
+     */
+    setCamera(camera) {
+        if (this.camera === camera) return;
+        if (this.camera) {
+            this.camera.stopFollowing();
+            this.camera.component = null;
+        }
+        this.camera = camera;
+        if (camera) {
+            camera.component = this;
+        }
+        if (this._isMounted) {
+            this._updateComponent();
+        }
+    }
+
+    /**
+     * Adds an event listener that is removed automatically when the component unmounts.
+     * Works with DOM event targets and with Paperfold emitters such as `paperfoldScene`.
+     * @param {EventTarget|EventEmitter} target - The object to listen on.
+     * @param {string} type - The event type.
+     * @param {function} handler - The listener.
+     * @param {object|boolean} [options] - Passed to `addEventListener` for DOM targets.
+     * @returns {function} A function that removes the listener early.
+     */
+    listen(target, type, handler, options) {
+        const isDomTarget = typeof target.addEventListener === 'function';
+        if (isDomTarget) {
+            target.addEventListener(type, handler, options);
+        } else {
+            target.on(type, handler);
+        }
+        const remove = () => {
+            const index = this._listeners.indexOf(remove);
+            if (index === -1) return;
+            this._listeners.splice(index, 1);
+            if (isDomTarget) {
+                target.removeEventListener(type, handler, options);
+            } else {
+                target.off(type, handler);
+            }
+        };
+        this._listeners.push(remove);
+        return remove;
+    }
+
+    /**
+     * Called when the component is removed. Calls `componentWillUnmount`, if defined, unmounts the
+     * child components, then stops every animation, tween, path and timeline the component owns,
+     * removes the listeners added with `listen` and stops watching the container size.
+     */
+    _unmount() {
+        if (!this._isMounted) return;
+        if (typeof this.componentWillUnmount === 'function') {
+            this.componentWillUnmount();
+        }
+        this.children.forEach(child => child._unmount());
+        this.children.clear();
+        paperfoldScene.removeOwnedBy(this);
+        this._listeners.slice().forEach(remove => remove());
+        this._stopObservingContainer();
+        this.renderer.detach(this);
+        this._isMounted = false;
+    }
+
+    /**
+     * Re-renders the component and patches the existing DOM to match (see reconcileElement),
+     * so unchanged nodes keep their identity and place. `blockElements` is pointed at the live nodes.
      */
     _updateComponent() {
         const oldElement = this.element;
         const parentNode = oldElement && oldElement.parentNode;
-        const newElement = this.render();
+        const newElement = this._renderTree();
+        let liveElement = newElement;
+
+        if (oldElement && parentNode) {
+            const nodeMap = new Map();
+            liveElement = reconcileElement(oldElement, newElement, nodeMap);
+            this.blockElements.forEach((element, blockId) => {
+                if (nodeMap.has(element)) {
+                    this.blockElements.set(blockId, nodeMap.get(element));
+                }
+            });
+        } else {
+            if (this._isMounted && this.rootElement) {
+                 this.rootElement.innerHTML = '';
+                 this.rootElement.appendChild(newElement);
+            }
+        }
+        const elementChanged = liveElement !== oldElement;
+        this.element = liveElement;
+        if (elementChanged) {
+            this._observeContainer();
+        }
+        if (typeof this.componentDidUpdate === 'function') {
+            this.componentDidUpdate();
+        }
+    }
+
+    /**
+     * Gives the component new props from its parent and re-renders it.
+     * @param {object} props - The new props.
+     */
+    _receiveProps(props) {
+        this.props = props;
+        if (this._isMounted) {
+            this._updateComponent();
+        }
+    }
+
+    /**
+     * Calls `render()` while tracking which child components it renders, then unmounts the
+     * children of the previous render that were not rendered again.
+     * @returns {HTMLElement} The rendered element.
+     */
+    _renderTree() {
+        this._previousChildren = this.children;
+        this.children = new Map();
+        const element = this.render();
+        this._previousChildren.forEach(child => child._unmount());
+        this._previousChildren = new Map();
+        return element;
+    }
+
+    /**
+     * Returns the area this component's blocks move in, in the coordinates of its root element
+     * (which moveBlock uses as the walls). The size is tracked with a ResizeObserver where available.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}} The container bounds.
+     */
+    getContainerBounds() {
+        const size = this._containerSize || this._measureContainer();
+        return { minX: 0, minY: 0, maxX: size.width, maxY: size.height };
+    }
+
+    /**
+     * Returns the area this component's blocks move in, in block coordinates: the camera's world
+     * bounds, or the part of the world it shows when it has none, or else the container bounds.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}} The world bounds.
+     */
+    getWorldBounds() {
+        if (!this.camera) return this.getContainerBounds();
+        return this.camera.worldBounds || this.camera.getViewBounds();
+    }
+
+    _measureContainer() {
+        const element = this.element;
+        if (element && (element.clientWidth > 0 || element.clientHeight > 0)) {
+            return { width: element.clientWidth, height: element.clientHeight };
+        }
+        // Not laid out (yet): fall back to the window
+        if (typeof window === 'undefined') return { width: 0, height: 0 };
+        return { width: window.innerWidth, height: window.innerHeight };
+    }
+
+    /**
+     * Starts tracking the size of the current root element, with a ResizeObserver where available
+     * and the window's 'resize' event otherwise. Calls `componentDidResize(oldSize, newSize)`
+     * on the component, if defined, whenever the size changes.
+     */
+    _observeContainer() {
+        if (!this.element) return;
+        this._stopObservingContainer();
+        if (typeof ResizeObserver === 'undefined') {
+            this._containerSize = this._measureContainer();
+            this._windowResizeHandler = () => this._setContainerSize(this._measureContainer());
+            window.addEventListener('resize', this._windowResizeHandler);
+            return;
+        }
+        this._resizeObserver = new ResizeObserver(entries => {
+            const rect = entries[entries.length - 1].contentRect;
+            if (rect.width === 0 && rect.height === 0) return;
+            this._setContainerSize({ width: rect.width, height: rect.height });
+        });
+        this._resizeObserver.observe(this.element);
+    }
+
+    _stopObservingContainer() {
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        }
+        if (this._windowResizeHandler) {
+            window.removeEventListener('resize', this._windowResizeHandler);
+            this._windowResizeHandler = null;
+        }
+    }
+
+    _setContainerSize(newSize) {
+        const oldSize = this._containerSize;
+        this._containerSize = newSize;
+        if (oldSize && (oldSize.width !== newSize.width || oldSize.height !== newSize.height) &&
+            typeof this.componentDidResize === 'function') {
+            this.componentDidResize(oldSize, newSize);
+        }
+    }
+
+    /**
+     * Redraws a block after its size, border or opacity changed, then its position.
+     * Used when numeric block properties change without a full re-render (e.g. by animateBlock).
+     * @param {string} blockId - The ID of the block.
+     * @param {Block} blockData - The Block object with updated properties.
+     */
+    updateBlockStyle(blockId, blockData) {
+        this.renderer.updateBlockStyle(this, blockId, blockData);
+    }
+
+    /**
+     * Redraws a block at its current position.
+     * @param {string} blockId - The ID of the block.
+     * @param {Block} blockData - The Block object with updated position.
+     * @param {{x: number, y: number, rotation: number}} [position] - Optional position (and rotation) to draw at instead of the block's own (e.g. interpolated by the scene).
+     */
+    updateBlockVisuals(blockId, blockData, position) {
+        this.renderer.updateBlockVisuals(this, blockId, blockData, position);
+    }
+}
+
+// --- DOM Reconciliation ---
+
+// Root elements of child components, which belong to the child: a parent's reconciliation puts
+// them in place as they are instead of matching and patching them (see renderChild)
+const childRootNodes = new WeakSet();
+
+/**
+ * Returns the key a rendered node is matched by across renders: its `data-key` attribute, else its id.
+ * @param {Node} node - The node.
+ * @returns {string|null} The key, or null for unkeyed nodes.
+ */
+function getNodeKey(node) {
+    if (node.nodeType !== 1) return null;
+    return node.getAttribute('data-key') || node.id || null;
+}
+
+/**
+ * Patches a live DOM node to match a freshly rendered one and returns the node that ends up in the page.
+ * Nodes with the same tag are updated in place (attributes, including `style`, and text); children are
+ * matched by key (see getNodeKey) or, when unkeyed, by tag in order, then moved into the new order.
+ * Root elements of child components are kept as they are. Listeners attached to the fresh nodes are not carried over to reused nodes.
+ * @param {Node} liveNode - The node currently in the page.
+ * @param {Node} nextNode - The freshly rendered node.
+ * @param {Map<Node, Node>} nodeMap - Filled with fresh node -> live node for every node kept.
+ * @returns {Node} The live node (or `nextNode`, if it had to replace `liveNode`).
+ */
+function reconcileElement(liveNode, nextNode, nodeMap) {
+    if (liveNode.nodeType !== nextNode.nodeType || liveNode.nodeName !== nextNode.nodeName) {
+        if (liveNode.parentNode) {
+            liveNode.parentNode.replaceChild(nextNode, liveNode);
+        }
+        return nextNode;
+    }
+    nodeMap.set(nextNode, liveNode);
+
+    if (liveNode.nodeType !== 1) {
+        if (liveNode.nodeValue !== nextNode.nodeValue) {
+            liveNode.nodeValue = nextNode.nodeValue;
+        }
+        return liveNode;
+    }
+
+    Array.from(liveNode.attributes).forEach(attribute => {
+        if (!nextNode.hasAttribute(attribute.name)) {
+            liveNode.removeAttribute(attribute.name);
+        }
+    });
+    Array.from(nextNode.attributes).forEach(attribute => {
+        if (liveNode.getAttribute(attribute.name) !== attribute.value) {
+            liveNode.setAttribute(attribute.name, attribute.value);
+        }
+    });
+
+    const liveChildren = Array.from(liveNode.childNodes);
+    const keyedChildren = new Map();
+    liveChildren.forEach(child => {
+        const key = getNodeKey(child);
+        if (key !== null && !keyedChildren.has(key)) {
+            keyedChildren.set(key, child);
+        }
+    });
+    const used = new Set();
+    let unkeyedIndex = 0;
+
+    Array.from(nextNode.childNodes).forEach((nextChild, index) => {
+        const key = getNodeKey(nextChild);
+        let match = null;
+        if (childRootNodes.has(nextChild)) {
+            // Already the child's live element; its own renders keep it up to date
+        } else if (key !== null) {
+            match = keyedChildren.get(key) || null;
+        } else {
+            while (unkeyedIndex < liveChildren.length && !match) {
+                const candidate = liveChildren[unkeyedIndex++];
+                if (getNodeKey(candidate) === null && candidate.nodeName === nextChild.nodeName &&
+                    !childRootNodes.has(candidate)) {
+                    match = candidate;
+                }
+            }
+        }
+
+        let liveChild = nextChild;
+        if (match && !used.has(match)) {
+            used.add(match);
+            liveChild = reconcileElement(match, nextChild, nodeMap);
+        }
+        const current = liveNode.childNodes[index];
+        if (current !== liveChild) {
+            liveNode.insertBefore(liveChild, current || null);
+        }
+    });
+
+    liveChildren.forEach(child => {
+        if (!used.has(child) && child.parentNode === liveNode) {
+            liveNode.removeChild(child);
+        }
+    });
+    return liveNode;
+}
+
+/**
+ * The main Paperfold.js application initializer.
+ */
+class PaperfoldApp {
+    /**
+     * Mounts a root component into a page element.
+     * @param {typeof Component} RootComponent - The root component's class.
+     * @param {HTMLElement} rootElement - The element to render into.
+     * @param {object} [props={}] - Initial props for the root component.
+     * @param {object} [options={}]
+     * @param {string|object} [options.renderer='dom'] - How blocks are drawn: 'dom', 'canvas', 'none' or a
+     * renderer instance (see createRenderer).
+     * @param {boolean|object} [options.debug=false] - Show the debug overlay (see setDebug).
+     */
+    constructor(RootComponent, rootElement, props = {}, options = {}) {
+        this.RootComponent = RootComponent;
+        this.rootElement = rootElement;
+        this.props = props;
+        this.renderer = createRenderer(options.renderer);
+        this.rootComponent = null;
+        this.debugOverlay = null;
+        this._renderApp();
+        if (options.debug) {
+            this.setDebug(options.debug);
+        }
+    }
+
+    /**
+     * Whether the app currently has a mounted root component.
+     * @returns {boolean}
+     */
+    get isMounted() {
+        return this.rootComponent !== null;
+    }
+
+    /**
+     * Shows or hides the debug overlay (see DebugOverlay): block bounds, ids, velocities and
+     * collision contacts over the root component, and a panel with FPS, frame time, running
+     * animations and collision checks per frame. Can be changed at any time.
+     * @param {boolean|object} debug - true to show both, false to hide, or `{ overlay, stats }`
+     * to pick (each defaults to true).
+     */
+    setDebug(debug) {
+        if (this.debugOverlay) {
+            this.debugOverlay.remove();
+            this.debugOverlay = null;
+        }
+        if (!debug) return;
+        this.debugOverlay = new DebugOverlay(this, debug === true ? {} : debug);
+        this.debugOverlay.draw();
+    }
+
+    /**
+     * Turns the debug overlay on (with everything shown) or off.
+     */
+    toggleDebug() {
+        this.setDebug(!this.debugOverlay);
+    }
+
+    /**
+     * Unmounts the root component (stopping everything it owns, see Component#_unmount)
+     * and removes its element and the debug overlay from the page. Safe to call more than once.
+     */
+    destroy() {
+        this.setDebug(false);
+        if (!this.rootComponent) return;
+        const component = this.rootComponent;
+        this.rootComponent = null;
+        component._unmount();
+        if (component.element && component.element.parentNode === this.rootElement) {
+            this.rootElement.removeChild(component.element);
+        }
+        component.rootElement = null;
+    }
+
+    /**
+     * Destroys the current root component, if any, and mounts a fresh instance in its place,
+     * keeping the debug overlay if it was shown.
+     * @returns {Component} The new root component.
+     */
+    remount() {
+        const debug = this.debugOverlay && this.debugOverlay.options;
+        this.destroy();
+        this._renderApp();
+        if (debug) {
+            this.setDebug(debug);
+        }
+        return this.rootComponent;
+    }
+
+    /**
+     * Merges new props into the root component's props and re-renders it; the root can pass
+     * them on to its children.
+     * @param {object} props - The props to change.
+     */
+    setProps(props) {
+        this.props = { ...this.props, ...props };
+        if (this.rootComponent) {
+            this.rootComponent._receiveProps(this.props);
+        }
+    }
+
+    _renderApp() {
+        this.rootComponent = new this.RootComponent(this.props);
+        this.rootComponent.rootElement = this.rootElement;
+        this.rootComponent.renderer = this.renderer;
+        this.rootElement.innerHTML = '';
+        const mountedElement = this.rootComponent._mount();
+        this.rootElement.appendChild(mountedElement);
+    }
+}
+
+// --- IDs and Randomness ---
+
+let randomSource = Math.random;
+let nextIdNumber = 1;
+
+/**
+ * Returns a pseudo-random generator with a fixed sequence for a seed (mulberry32).
+ * @param {number} seed - The seed; the same seed always gives the same sequence.
+ * @returns {function(): number} A function returning numbers in [0, 1) like Math.random.
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Makes generated ids and every random choice Paperfold makes (e.g. by particle emitters)
+ * repeatable: after seeding with the same seed, the same calls give the same results.
+ * Also restarts the id sequence.
+ * @param {number|null} [seed] - The seed; null or omitted goes back to Math.random.
+ */
+function seedRandom(seed) {
+    randomSource = seed === undefined || seed === null ? Math.random : createSeededRandom(seed);
+    nextIdNumber = 1;
+}
+
+/**
+ * Returns a random number in [0, 1) from Paperfold's generator (see seedRandom).
+ * @returns {number}
+ */
+function paperfoldRandom() {
+    return randomSource();
+}
+
+/**
+ * Returns a new id, unique within the page, such as 'block-1-k3x9qz'.
+ * @param {string} prefix - What the id is for.
+ * @returns {string} The id.
+ */
+function generateId(prefix) {
+    const suffix = Math.floor(paperfoldRandom() * 2176782336).toString(36).padStart(6, '0'); // 36^6
+    return `${prefix}-${(nextIdNumber++).toString(36)}-${suffix}`;
+}
+
+// --- Block Object Definition ---
+
+/**
+ * Shapes a Block can have:
+ * - 'square': a rectangle of `size` (stretched by scale_x/scale_y).
+ * - 'circle': an ellipse of radius `size`; its x/y is the center.
+ * - 'polygon': a regular polygon with `sides` corners filling a `size` box, or the convex
+ *   polygon through `points` ({x, y} relative to the block's x/y).
+ * - 'triangle': an upward-pointing triangle filling a `size` box.
+ * - 'roundedRect': a rectangle of `size` with corners rounded by `cornerRadius`.
+ * - 'line': a segment `size` long and `lineWidth` thick with round ends; turn it with `rotation`.
+ * - 'text': the `text`, set in `fontSize`px `fontFamily`, colliding as its box.
+ * Every shape except 'circle' is positioned by the top-left corner of its unrotated box.
+ * BlockGroups have the shape 'group'.
+ */
+const BLOCK_SHAPES = ['square', 'circle', 'polygon', 'triangle', 'roundedRect', 'line', 'text'];
+
+class Block {
+    constructor(options) {
+        this.id = options.id || generateId('block');
+        this.shape = options.shape || 'square';
+        this.x = options.x || 0;
+        this.y = options.y || 0;
+        this.size = options.size || 50;
+        this.scale_x = options.scale_x === undefined ? 0 : options.scale_x;
+        this.scale_y = options.scale_y === undefined ? 0 : options.scale_y;
+        this.borderWidth = options.borderWidth || 0;
+        this.borderColor = options.borderColor || 'black';
+        this.level = options.level || 0; // Stacking order: higher levels are drawn on top
+        this.fillColor = options.fillColor || null; // Falls back to borderColor
+        this.fillGradient = options.fillGradient || null; // See getGradientStops; overrides fillColor
+        this.borderRadius = options.borderRadius || 0; // Visual corner rounding in px; collisions ignore it
+        this.shadow = options.shadow || null; // { x, y, blur, color }
+        this.className = options.className || ''; // Extra CSS classes (DOM renderer only)
+        this.style = options.style || {}; // Extra CSS properties (DOM renderer only)
+        this.draggable = !!options.draggable; // Can be picked up with the pointer (see PointerController)
+        this.throwable = !!options.throwable; // Keeps the pointer's velocity when let go
+        this.onClick = options.onClick || null;
+        this.onHover = options.onHover || null;
+        this.onDrag = options.onDrag || null;
+        this.opaque = options.opaque === undefined ? 100 : Math.max(0, Math.min(100, options.opaque));
+        this.density = options.density === undefined ? 1 : options.density;
+        this.mass = options.mass; // Derived from density and area when not given
+        this.restitution = options.restitution === undefined ? 1 : Math.max(0, Math.min(1, options.restitution));
+        this.friction = options.friction === undefined ? 0 : Math.max(0, options.friction);
+        this.static = !!options.static; // Static blocks are never pushed by collisions
+        this.rotation = options.rotation || 0; // Degrees, clockwise, around the block's center
+        this.angularVelocity = options.angularVelocity || 0; // Degrees per second, clockwise
+        this.spinOnCollision = !!options.spinOnCollision; // Let off-center hits change angularVelocity
+        this.sides = Math.max(3, Math.round(options.sides || 6)); // 'polygon' without points
+        this.points = null; // 'polygon': convex outline relative to x/y, starting at (0, 0)
+        this.cornerRadius = options.cornerRadius === undefined ? 8 : Math.max(0, options.cornerRadius); // 'roundedRect'
+        this.lineWidth = options.lineWidth === undefined ? 2 : Math.max(0, options.lineWidth); // 'line'
+        this.text = options.text === undefined ? '' : String(options.text); // 'text'
+        this.fontSize = options.fontSize || 16;
+        this.fontFamily = options.fontFamily || 'sans-serif';
+        this.parent = null; // The BlockGroup the block belongs to, if any
+
+        if (!BLOCK_SHAPES.includes(this.shape)) {
+            console.error(`Block: Unknown shape '${this.shape}', using 'square'.`);
+            this.shape = 'square';
+        }
+        if (this.shape === 'polygon' && Array.isArray(options.points)) {
+            this._setPoints(options.points);
+        }
+    }
+
+    get actualWidth() {
+        const scale = 1 + this.scale_x / 100;
+        if (this.shape === 'circle') return 2 * this.size * scale;
+        if (this.shape === 'text') return measureTextWidth(this.text, this.fontSize, this.fontFamily) * scale;
+        if (this.points) return this._pointsSize.width * scale;
+        return this.size * scale;
+    }
+
+    get actualHeight() {
+        const scale = 1 + this.scale_y / 100;
+        if (this.shape === 'circle') return 2 * this.size * scale;
+        if (this.shape === 'text') return this.fontSize * TEXT_LINE_HEIGHT * scale;
+        if (this.shape === 'line') return this.lineWidth * scale;
+        if (this.points) return this._pointsSize.height * scale;
+        return this.size * scale;
+    }
+
+    /**
+     * How far the outline is rounded off around the corners returned by getLocalVertices
+     * (the corner radius of a 'roundedRect', half the thickness of a 'line', else 0).
+     */
+    get outlineRadius() {
+        const halfWidth = this.actualWidth / 2;
+        const halfHeight = this.actualHeight / 2;
+        if (this.shape === 'roundedRect') return Math.min(this.cornerRadius, halfWidth, halfHeight);
+        if (this.shape === 'line') return Math.min(halfWidth, halfHeight);
+        return 0;
+    }
+
+    /**
+     * Returns the corners of the block's convex outline relative to the center of its box, before
+     * rotation. The outline is these corners rounded off by `outlineRadius`, and fills the box exactly.
+     * @returns {Array<Array<number>>|null} [x, y] pairs in clockwise order, or null for circles.
+     */
+    getLocalVertices() {
+        if (this.shape === 'circle') return null;
+        const halfWidth = this.actualWidth / 2;
+        const halfHeight = this.actualHeight / 2;
+        const radius = this.outlineRadius;
+        const innerWidth = halfWidth - radius;
+        const innerHeight = halfHeight - radius;
+
+        if (this.shape === 'line') {
+            return [[-innerWidth, 0], [innerWidth, 0]];
+        }
+        if (this.shape === 'triangle') {
+            return [[0, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight]];
+        }
+        if (this.shape === 'polygon') {
+            let unit;
+            if (this.points) {
+                unit = this.points.map(point => [point.x, point.y]);
+            } else {
+                unit = [];
+                for (let i = 0; i < this.sides; i++) {
+                    const angle = -Math.PI / 2 + i * 2 * Math.PI / this.sides;
+                    unit.push([Math.cos(angle), Math.sin(angle)]);
+                }
+            }
+            // Stretch the outline so it fills the box
+            const xs = unit.map(vertex => vertex[0]);
+            const ys = unit.map(vertex => vertex[1]);
+            const minX = Math.min(...xs);
+            const minY = Math.min(...ys);
+            const spanX = Math.max(...xs) - minX || 1;
+            const spanY = Math.max(...ys) - minY || 1;
+            return unit.map(([x, y]) => [
+                ((x - minX) / spanX - 0.5) * 2 * halfWidth,
+                ((y - minY) / spanY - 0.5) * 2 * halfHeight
+            ]);
+        }
+        return [[-innerWidth, -innerHeight], [innerWidth, -innerHeight], [innerWidth, innerHeight], [-innerWidth, innerHeight]];
+    }
+
+    get mass() {
+        return this._mass === undefined ? this.density * this.area : this._mass;
+    }
+
+    set mass(value) {
+        this._mass = typeof value === 'number' && value > 0 ? value : undefined;
+    }
+
+    get area() {
+        if (this.shape === 'circle') return Math.PI * this.radiusX * this.radiusY;
+        // The corner polygon, grown by the outline radius
+        const vertices = this.getLocalVertices();
+        const radius = this.outlineRadius;
+        let doubleArea = 0;
+        let perimeter = 0;
+        vertices.forEach(([x1, y1], i) => {
+            const [x2, y2] = vertices[(i + 1) % vertices.length];
+            doubleArea += x1 * y2 - x2 * y1;
+            perimeter += Math.hypot(x2 - x1, y2 - y1);
+        });
+        return Math.abs(doubleArea) / 2 + perimeter * radius + Math.PI * radius * radius;
+    }
+
+    /**
+     * 1 / mass, or 0 for static or massless blocks, which collisions can't move.
+     */
+    get inverseMass() {
+        const mass = this.mass;
+        return this.static || !(mass > 0) ? 0 : 1 / mass;
+    }
+
+    /**
+     * Moment of inertia around the center (mass times squared distance), for spin from collisions.
+     */
+    get inertia() {
+        const mass = this.mass;
+        if (this.shape === 'circle') {
+            return mass * (this.radiusX * this.radiusX + this.radiusY * this.radiusY) / 4;
+        }
+        return mass * (this.actualWidth * this.actualWidth + this.actualHeight * this.actualHeight) / 12;
+    }
+
+    /**
+     * 1 / inertia, or 0 for blocks whose spin collisions can't change (see `spinOnCollision`).
+     */
+    get inverseInertia() {
+        const inertia = this.inertia;
+        return !this.spinOnCollision || this.static || !(inertia > 0) ? 0 : 1 / inertia;
+    }
+
+    get radiusX() {
+        return this.shape === 'circle' ? this.size * (1 + this.scale_x / 100) : 0;
+    }
+
+    get radiusY() {
+        return this.shape === 'circle' ? this.size * (1 + this.scale_y / 100) : 0;
+    }
+
+    /**
+     * Returns the axis-aligned box enclosing the block, taking its rotation into account.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+     */
+    getBounds() {
+        let minX, minY, maxX, maxY;
+        if (this.shape === 'circle') {
+            minX = this.x - this.radiusX; minY = this.y - this.radiusY;
+            maxX = this.x + this.radiusX; maxY = this.y + this.radiusY;
+        } else {
+            minX = this.x; minY = this.y;
+            maxX = this.x + this.actualWidth; maxY = this.y + this.actualHeight;
+        }
+        if (this.rotation % 360 !== 0) {
+            const radians = this.rotation * Math.PI / 180;
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+            const centerX = (minX + maxX) / 2;
+            const centerY = (minY + maxY) / 2;
+            let extentX = 0;
+            let extentY = 0;
+            if (this.shape === 'circle') {
+                const rx = this.radiusX;
+                const ry = this.radiusY;
+                extentX = Math.sqrt(rx * rx * cos * cos + ry * ry * sin * sin);
+                extentY = Math.sqrt(rx * rx * sin * sin + ry * ry * cos * cos);
+                minX = centerX - extentX; maxX = centerX + extentX;
+                minY = centerY - extentY; maxY = centerY + extentY;
+            } else {
+                const radius = this.outlineRadius;
+                minX = minY = Infinity;
+                maxX = maxY = -Infinity;
+                this.getLocalVertices().forEach(([x, y]) => {
+                    const worldX = centerX + x * cos - y * sin;
+                    const worldY = centerY + x * sin + y * cos;
+                    minX = Math.min(minX, worldX - radius); maxX = Math.max(maxX, worldX + radius);
+                    minY = Math.min(minY, worldY - radius); maxY = Math.max(maxY, worldY + radius);
+                });
+            }
+        }
+        return { minX, minY, maxX, maxY };
+    }
+
+    /**
+     * Returns the center of the block's unrotated box, which it rotates around.
+     * @returns {{x: number, y: number}}
+     */
+    getCenter() {
+        if (this.shape === 'circle') {
+            return { x: this.x, y: this.y };
+        }
+        return { x: this.x + this.actualWidth / 2, y: this.y + this.actualHeight / 2 };
+    }
+
+    moveTo(newX, newY) {
+        this.x = newX; this.y = newY;
+    }
+
+    centerOn(centerX, centerY) {
+        const center = this.getCenter();
+        this.moveBy(centerX - center.x, centerY - center.y);
+    }
+
+    moveBy(deltaX, deltaY) {
+        this.x += deltaX; this.y += deltaY;
+    }
+
+    resize(newSize) {
+        if (typeof newSize === 'number' && newSize >= 0) {
+            this.size = newSize;
+        }
+    }
+
+    /**
+     * Takes a polygon's outline from a list of points, moving the block so the outline's
+     * top-left corner is at the block's x/y. Points that make the outline concave are dropped.
+     * @param {Array<{x: number, y: number}>} points - The corners, relative to the block's x/y.
+     */
+    _setPoints(points) {
+        const hull = convexHull(points.filter(point => point && isFinite(point.x) && isFinite(point.y)));
+        if (hull.length < 3) {
+            console.error("Block: A polygon needs at least 3 points that aren't on one line; using a regular polygon.");
+            return;
+        }
+        if (hull.length < points.length) {
+            console.error("Block: Polygon points are not convex; using their convex hull.");
+        }
+        const minX = Math.min(...hull.map(point => point.x));
+        const minY = Math.min(...hull.map(point => point.y));
+        this.x += minX;
+        this.y += minY;
+        this.points = hull.map(point => ({ x: point.x - minX, y: point.y - minY }));
+        this._pointsSize = {
+            width: Math.max(...this.points.map(point => point.x)),
+            height: Math.max(...this.points.map(point => point.y))
+        };
+    }
+}
+
+const TEXT_LINE_HEIGHT = 1.2; // Height of a 'text' block as a multiple of its font size
+
+let textMeasureContext = null;
+
+/**
+ * Measures the width of a line of text, with a canvas where there is one and an estimate otherwise.
+ * @param {string} text - The text.
+ * @param {number} fontSize - Font size in pixels.
+ * @param {string} fontFamily - CSS font family.
+ * @returns {number} The width in pixels.
+ */
+function measureTextWidth(text, fontSize, fontFamily) {
+    if (textMeasureContext === null) {
+        const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+        const context = canvas && canvas.getContext && canvas.getContext('2d');
+        textMeasureContext = context && typeof context.measureText === 'function' ? context : false;
+    }
+    if (textMeasureContext) {
+        textMeasureContext.font = `${fontSize}px ${fontFamily}`;
+        return textMeasureContext.measureText(text).width;
+    }
+    return text.length * fontSize * 0.6; // Rough average glyph width
+}
+
+/**
+ * Returns the convex hull of a set of points (Andrew's monotone chain), clockwise on screen.
+ * @param {Array<{x: number, y: number}>} points - The points.
+ * @returns {Array<{x: number, y: number}>} The corners of the hull.
+ */
+function convexHull(points) {
+    const sorted = points.slice().sort((a, b) => (a.x - b.x) || (a.y - b.y));
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    const upper = [];
+    sorted.forEach(point => {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+        lower.push(point);
+    });
+    sorted.slice().reverse().forEach(point => {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+        upper.push(point);
+    });
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/**
+ * Reads a block's `fillGradient`, which looks like
+ * `{ type: 'linear', angle: 90, stops: [{ offset: 0, color: 'white' }, { offset: 1, color: 'navy' }] }`
+ * (`angle` in degrees as in CSS, 0 pointing up, 90 right) or `{ type: 'radial', stops: [...] }`.
+ * @param {object} gradient - The gradient.
+ * @returns {Array<{offset: number, color: string}>|null} The stops sorted by offset, or null if there are fewer than two.
+ */
+function getGradientStops(gradient) {
+    if (!gradient || !Array.isArray(gradient.stops) || gradient.stops.length < 2) return null;
+    return gradient.stops
+        .map(stop => ({ offset: Math.max(0, Math.min(1, stop.offset)), color: stop.color }))
+        .sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Returns the radius of the outer corners of a block's drawn box (its border edge).
+ * @param {Block} block - The block.
+ * @returns {number} The radius in pixels.
+ */
+function getVisualCornerRadius(block) {
+    if (block.shape === 'roundedRect' || block.shape === 'line') {
+        return block.outlineRadius + block.borderWidth;
+    }
+    return block.borderRadius;
+}
+
+// Block -> the component that last rendered it (see recordBlockOwners)
+const blockOwners = new WeakMap();
+
+/**
+ * Records which component draws some blocks, so block functions called without an
+ * owningComponent can still update them. Renderers call it from renderBlocks.
+ * @param {Component} component - The component drawing the blocks.
+ * @param {Array<Block>} blocks - Its top-level blocks.
+ */
+function recordBlockOwners(component, blocks) {
+    blocks.forEach(block => blockOwners.set(block, component));
+}
+
+/**
+ * Finds the component that draws a block: the one given, else the one moving the block with
+ * moveBlock, else the one that last rendered it (or the group holding it).
+ * @param {Block} blockObject - The block.
+ * @param {Component} [owningComponent] - An explicitly given component.
+ * @returns {Component|null} The component, or null if the block isn't drawn by any.
+ */
+function getOwningComponent(blockObject, owningComponent) {
+    if (owningComponent) return owningComponent;
+    const movement = activeBlockAnimations.get(blockObject.id);
+    if (movement) return movement.owningComponent;
+    return blockOwners.get(getOutermostBlock(blockObject)) || null;
+}
+
+/**
+ * Changes a block's stacking order and redraws it.
+ * @param {Block} blockObject - The block.
+ * @param {number} level - The new level; higher levels are drawn on top.
+ * @param {Component} [owningComponent] - The component that draws the block. Found with
+ * getOwningComponent when omitted.
+ */
+function setBlockLevel(blockObject, level, owningComponent) {
+    if (!(blockObject instanceof Block) || typeof level !== 'number') {
+        console.error("setBlockLevel: Invalid blockObject or level.");
+        return;
+    }
+    blockObject.level = level;
+    const component = getOwningComponent(blockObject, owningComponent);
+    if (component && typeof component.updateBlockStyle === 'function') {
+        component.updateBlockStyle(blockObject.id, blockObject);
+    }
+}
+
+// --- Block Groups ---
+
+/**
+ * Returns the outermost group holding a block, or the block itself when it isn't in a group.
+ * @param {Block} block - The block.
+ * @returns {Block} The top-level block.
+ */
+function getOutermostBlock(block) {
+    while (block.parent) {
+        block = block.parent;
+    }
+    return block;
+}
+
+/**
+ * A block made of other blocks (and groups) that move, scale and fade as one, e.g. a face made
+ * of circles. Its children's x/y are local: relative to the group's x/y and scaled by its
+ * scale_x/scale_y (percent, as for blocks), and the group's `opaque` fades them all. The group
+ * can be passed to moveBlock, animateBlock and the other block functions like any block; it
+ * collides and hits boundaries as the box around its children (see getBounds), and takes its
+ * mass from theirs. Its children can be tweened or sent along paths in its coordinates, but not
+ * moved with moveBlock, and a child in another block's collision list stands for the group.
+ * Groups don't rotate.
+ */
+class BlockGroup extends Block {
+    /**
+     * @param {object} [options] - Block options (id, x, y, scale_x, scale_y, opaque, level, ...), plus:
+     * @param {Array<Block|object>} [options.children] - The children, as blocks or as block options
+     * (see createBlock).
+     */
+    constructor(options = {}) {
+        super({ ...options, shape: 'square' });
+        this.shape = 'group';
+        this.children = [];
+        (options.children || []).forEach(child => this.add(child instanceof Block ? child : createBlock(child)));
+    }
+
+    /**
+     * Adds a block or group, taking it out of any group it was in. Its x/y become local coordinates.
+     * @param {Block} child - The block to add.
+     */
+    add(child) {
+        if (!(child instanceof Block)) {
+            console.error("BlockGroup.add: Invalid child provided. Must be an instance of Block.");
+            return;
+        }
+        for (let group = this; group; group = group.parent) {
+            if (group === child) {
+                console.error("BlockGroup.add: A group can't contain itself.");
+                return;
+            }
+        }
+        if (child.parent) {
+            child.parent.remove(child);
+        }
+        child.parent = this;
+        this.children.push(child);
+    }
+
+    /**
+     * Takes a child out of the group. Its x/y are left as they are.
+     * @param {Block} child - The child to remove.
+     */
+    remove(child) {
+        const index = this.children.indexOf(child);
+        if (index === -1) return;
+        this.children.splice(index, 1);
+        child.parent = null;
+    }
+
+    /**
+     * How much the group stretches its children horizontally (1 + scale_x / 100).
+     * @returns {number}
+     */
+    get scaleFactorX() {
+        return Math.max(0, 1 + this.scale_x / 100);
+    }
+
+    /**
+     * How much the group stretches its children vertically (1 + scale_y / 100).
+     * @returns {number}
+     */
+    get scaleFactorY() {
+        return Math.max(0, 1 + this.scale_y / 100);
+    }
+
+    /**
+     * Converts a point from the group's local coordinates to the coordinates of its parent.
+     * @param {number} x - Local x.
+     * @param {number} y - Local y.
+     * @returns {{x: number, y: number}} The point in the parent's coordinates.
+     */
+    toParent(x, y) {
+        return { x: this.x + x * this.scaleFactorX, y: this.y + y * this.scaleFactorY };
+    }
+
+    /**
+     * Converts a point from the coordinates of the group's parent to its local coordinates.
+     * @param {number} x - The parent's x.
+     * @param {number} y - The parent's y.
+     * @returns {{x: number, y: number}} The local point.
+     */
+    toLocal(x, y) {
+        return {
+            x: this.scaleFactorX > 0 ? (x - this.x) / this.scaleFactorX : 0,
+            y: this.scaleFactorY > 0 ? (y - this.y) / this.scaleFactorY : 0
+        };
+    }
+
+    /**
+     * Converts a point from the group's local coordinates to those of the outermost group,
+     * which are the coordinates of the component drawing it.
+     * @param {number} x - Local x.
+     * @param {number} y - Local y.
+     * @returns {{x: number, y: number}} The point.
+     */
+    localToWorld(x, y) {
+        const point = this.toParent(x, y);
+        return this.parent ? this.parent.localToWorld(point.x, point.y) : point;
+    }
+
+    /**
+     * Returns the box around the children, in the group's local coordinates.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} The box, or null for an empty group.
+     */
+    getLocalBounds() {
+        if (this.children.length === 0) return null;
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        this.children.forEach(child => {
+            const childBounds = child.getBounds();
+            bounds.minX = Math.min(bounds.minX, childBounds.minX);
+            bounds.minY = Math.min(bounds.minY, childBounds.minY);
+            bounds.maxX = Math.max(bounds.maxX, childBounds.maxX);
+            bounds.maxY = Math.max(bounds.maxY, childBounds.maxY);
+        });
+        return bounds;
+    }
+
+    /**
+     * Returns the box around the children in the parent's coordinates (an empty group is a point at x/y).
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+     */
+    getBounds() {
+        const local = this.getLocalBounds();
+        if (!local) {
+            return { minX: this.x, minY: this.y, maxX: this.x, maxY: this.y };
+        }
+        const min = this.toParent(local.minX, local.minY);
+        const max = this.toParent(local.maxX, local.maxY);
+        return { minX: min.x, minY: min.y, maxX: max.x, maxY: max.y };
+    }
+
+    get actualWidth() {
+        const bounds = this.getBounds();
+        return bounds.maxX - bounds.minX;
+    }
+
+    get actualHeight() {
+        const bounds = this.getBounds();
+        return bounds.maxY - bounds.minY;
+    }
+
+    getCenter() {
+        const bounds = this.getBounds();
+        return { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+    }
+
+    getLocalVertices() {
+        const halfWidth = this.actualWidth / 2;
+        const halfHeight = this.actualHeight / 2;
+        return [[-halfWidth, -halfHeight], [halfWidth, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight]];
+    }
+
+    /**
+     * The children's total mass, scaled with their area, unless a mass was given.
+     */
+    get mass() {
+        if (this._mass !== undefined) return this._mass;
+        const childMass = this.children.reduce((sum, child) => sum + child.mass, 0);
+        return childMass * this.scaleFactorX * this.scaleFactorY;
+    }
+
+    set mass(value) {
+        this._mass = typeof value === 'number' && value > 0 ? value : undefined;
+    }
+}
+
+/**
+ * Creates a block from options, or a BlockGroup when `options.shape` is 'group'.
+ * @param {object} options - Options for the Block (or BlockGroup) constructor.
+ * @returns {Block} The block.
+ */
+function createBlock(options) {
+    return options.shape === 'group' ? new BlockGroup(options) : new Block(options);
+}
+
+// --- ANIMATION HELPERS ---
+const activeBlockAnimations = new Map();
+
+function positiveModulo(i, n) {
+    return (i % n + n) % n;
+}
+
+// --- Events ---
+
+/**
+ * A minimal event emitter. Handlers receive the event object passed to `emit`.
+ */
+class EventEmitter {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    /**
+     * Registers a handler for an event type.
+     * @param {string} type - The event type, e.g. 'collide'.
+     * @param {function} handler - Called with the event object.
+     * @returns {function} A function that removes the handler again.
+     */
+    on(type, handler) {
+        if (!this._listeners.has(type)) {
+            this._listeners.set(type, []);
+        }
+        this._listeners.get(type).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Removes a handler registered with `on`.
+     * @param {string} type - The event type.
+     * @param {function} handler - The handler to remove.
+     */
+    off(type, handler) {
+        const handlers = this._listeners.get(type);
+        if (handlers) {
+            this._listeners.set(type, handlers.filter(existing => existing !== handler));
+        }
+    }
+
+    /**
+     * Calls every handler registered for the event's type.
+     * @param {string} type - The event type.
+     * @param {object} event - The event object passed to each handler.
+     * @returns {object} The event object.
+     */
+    emit(type, event) {
+        const handlers = this._listeners.get(type);
+        if (handlers) {
+            handlers.slice().forEach(handler => handler(event));
+        }
+        return event;
+    }
+}
+
+/**
+ * Creates an event object. Handlers of a cancelable event can call `preventDefault()`
+ * to skip the library's default response.
+ * @param {string} type - The event type.
+ * @param {object} details - Properties copied onto the event.
+ * @param {boolean} [cancelable=true] - Whether `preventDefault()` has an effect.
+ * @returns {object} The event object.
+ */
+function createPaperfoldEvent(type, details, cancelable = true) {
+    return {
+        type: type,
+        cancelable: cancelable,
+        defaultPrevented: false,
+        ...details,
+        preventDefault() {
+            if (this.cancelable) {
+                this.defaultPrevented = true;
+            }
+        }
+    };
+}
+
+// --- Broad Phase ---
+
+/**
+ * A uniform grid over the scene, bucketing blocks by the cells their bounds cover.
+ * Used to find the few blocks near a given area without looping over every block.
+ */
+class SpatialHash {
+    /**
+     * @param {number} [cellSize=100] - Width and height of one grid cell in pixels.
+     */
+    constructor(cellSize = 100) {
+        this.cellSize = cellSize;
+        this._cells = new Map();
+        this._entries = new Map();
+    }
+
+    /**
+     * Adds a block to the grid, or moves it to the cells its current bounds cover.
+     * @param {Block} block - The block to (re)index.
+     */
+    update(block) {
+        const range = this._cellRange(block.getBounds());
+        const existing = this._entries.get(block.id);
+        if (existing) {
+            existing.block = block;
+            if (existing.minCX === range.minCX && existing.minCY === range.minCY &&
+                existing.maxCX === range.maxCX && existing.maxCY === range.maxCY) {
+                return;
+            }
+            this._removeFromCells(block.id, existing);
+        }
+        this._entries.set(block.id, { block: block, ...range });
+        this._forEachCell(range, key => {
+            let cell = this._cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                this._cells.set(key, cell);
+            }
+            cell.add(block.id);
+        });
+    }
+
+    /**
+     * Removes a block from the grid.
+     * @param {string} blockId - The ID of the block.
+     */
+    remove(blockId) {
+        const existing = this._entries.get(blockId);
+        if (existing) {
+            this._removeFromCells(blockId, existing);
+            this._entries.delete(blockId);
+        }
+    }
+
+    /**
+     * Finds the blocks whose cells overlap a rectangle. The result may contain blocks
+     * that are near the rectangle without touching it; callers filter as needed.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} rect - The area to search.
+     * @returns {Array<Block>} The candidate blocks.
+     */
+    query(rect) {
+        const range = this._cellRange(rect);
+        const cellCount = (range.maxCX - range.minCX + 1) * (range.maxCY - range.minCY + 1);
+        if (!(cellCount <= this._cells.size)) {
+            // Spans more cells than are occupied (or is unbounded): check each block's cells instead
+            const blocks = [];
+            this._entries.forEach(entry => {
+                if (entry.maxCX >= range.minCX && entry.minCX <= range.maxCX &&
+                    entry.maxCY >= range.minCY && entry.minCY <= range.maxCY) {
+                    blocks.push(entry.block);
+                }
+            });
+            return blocks;
+        }
+
+        const found = new Set();
+        this._forEachCell(range, key => {
+            const cell = this._cells.get(key);
+            if (cell) {
+                cell.forEach(blockId => found.add(blockId));
+            }
+        });
+        return Array.from(found, blockId => this._entries.get(blockId).block);
+    }
+
+    /**
+     * Removes every block from the grid.
+     */
+    clear() {
+        this._cells.clear();
+        this._entries.clear();
+    }
+
+    _cellRange(rect) {
+        return {
+            minCX: Math.floor(rect.minX / this.cellSize),
+            minCY: Math.floor(rect.minY / this.cellSize),
+            maxCX: Math.floor(rect.maxX / this.cellSize),
+            maxCY: Math.floor(rect.maxY / this.cellSize)
+        };
+    }
+
+    _forEachCell(range, callback) {
+        for (let cx = range.minCX; cx <= range.maxCX; cx++) {
+            for (let cy = range.minCY; cy <= range.maxCY; cy++) {
+                callback(`${cx},${cy}`);
+            }
+        }
+    }
+
+    _removeFromCells(blockId, range) {
+        this._forEachCell(range, key => {
+            const cell = this._cells.get(key);
+            if (cell) {
+                cell.delete(blockId);
+                if (cell.size === 0) {
+                    this._cells.delete(key);
+                }
+            }
+        });
+    }
+}
+
+// --- Simulation Scene ---
+
+/**
+ * The default clock, backed by `performance.now()` and `requestAnimationFrame`.
+ * A clock is any object implementing `now()`, `requestFrame(callback)` and `cancelFrame(frameId)`.
+ */
+const browserClock = {
+    now() {
+        return performance.now();
+    },
+    requestFrame(callback) {
+        return requestAnimationFrame(callback);
+    },
+    cancelFrame(frameId) {
+        cancelAnimationFrame(frameId);
+    }
+};
+
+/**
+ * Returns a real-time timestamp in milliseconds for measuring how long work takes.
+ * @returns {number}
+ */
+function realTimeNow() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * A clock that only moves when `advance()` is called.
+ * Inject it with `paperfoldScene.setClock(new ManualClock())` to make runs reproducible.
+ */
+class ManualClock {
+    /**
+     * @param {number} [startTime=0] - The initial time in milliseconds.
+     */
+    constructor(startTime = 0) {
+        this.time = startTime;
+        this._callbacks = new Map();
+        this._nextFrameId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    requestFrame(callback) {
+        const frameId = this._nextFrameId++;
+        this._callbacks.set(frameId, callback);
+        return frameId;
+    }
+
+    cancelFrame(frameId) {
+        this._callbacks.delete(frameId);
+    }
+
+    /**
+     * Moves the clock forward and runs every frame callback that was pending, once.
+     * @param {number} ms - Milliseconds to advance by.
+     */
+    advance(ms) {
+        this.time += ms;
+        const callbacks = Array.from(this._callbacks.values());
+        this._callbacks.clear();
+        callbacks.forEach(callback => callback(this.time));
+    }
+}
+
+/**
+ * The simulation scheduler shared by every moving block.
+ * It owns the entries of `activeBlockAnimations`, advances them all in fixed-size steps
+ * from a single frame loop, resolves each colliding pair once per step and renders
+ * positions interpolated between the last two steps.
+ * Blocks taking part in the simulation are kept in a spatial index, so collision checks and
+ * area queries only look at nearby blocks.
+ * Other time-based work, such as tweens, runs on the same loop as tasks (see addTask).
+ *
+ * The scene emits these events (see EventEmitter), after the matching `onCollide`, `onBoundary`
+ * or `onStop` handler passed to moveBlock:
+ * - 'collide': `{ blockA, blockB, normal, depth, point, mode }` when two blocks touch. Set `mode` to
+ *   'stop', 'bounce' or 'pass' to change the response, or call `preventDefault()` to skip it.
+ * - 'boundary': `{ block, edge, normal, mode }` when a block reaches an edge ('left', 'right',
+ *   'top' or 'bottom'). `mode` and `preventDefault()` work as for 'collide'.
+ * - 'stop': `{ block, reason, edge, otherBlock }` when an animation ends. `reason` is 'boundary',
+ *   'collision', 'duration' or 'manual'; all but 'manual' can be prevented to keep the block moving.
+ */
+class Scene extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {Map} [options.animations] - The map of animation entries to drive, keyed by block id.
+     * @param {object} [options.clock] - The clock providing time and frame callbacks. Defaults to
+     * browserClock, or a ManualClock where there is no requestAnimationFrame (e.g. under Node).
+     * @param {number} [options.fixedStep=1/60] - Length of one simulation step in seconds.
+     * @param {number} [options.maxSubSteps=5] - Maximum steps run per frame before dropping time.
+     * @param {number} [options.cellSize=100] - Cell size of the spatial index in pixels.
+     * @param {{x: number, y: number}} [options.gravity={x: 0, y: 0}] - Acceleration applied to every moving block, in pixels per second squared.
+     * @param {number} [options.timeScale=1] - Speed of simulated time relative to the clock.
+     */
+    constructor(options = {}) {
+        super();
+        this.animations = options.animations || new Map();
+        this.clock = options.clock || (typeof requestAnimationFrame === 'function' ? browserClock : new ManualClock());
+        this.fixedStep = options.fixedStep || 1 / 60;
+        this.maxSubSteps = options.maxSubSteps || 5;
+        this.spatialIndex = new SpatialHash(options.cellSize || 100);
+        this.gravity = { x: 0, y: 0, ...options.gravity };
+        this.tasks = new Set();
+        this.renderers = new Set();
+        this.timeScale = options.timeScale === undefined ? 1 : options.timeScale;
+        this._accumulator = 0;
+        this._lastTime = 0;
+        this._frameId = null;
+        this._collisionChecks = 0; // Pairs tested in the current frame
+        // Figures for the last frame, e.g. for the debug overlay: frames per second (smoothed),
+        // milliseconds since the frame before, milliseconds spent stepping and rendering,
+        // fixed steps run, animations running and block pairs tested for collisions
+        this.stats = { fps: 0, frameTime: 0, workTime: 0, steps: 0, animations: 0, collisionChecks: 0 };
+        this._onFrame = this._onFrame.bind(this);
+    }
+
+    /**
+     * Replaces the scene's clock. Any running frame loop is moved over to the new clock.
+     * @param {object} clock - An object implementing `now()`, `requestFrame()` and `cancelFrame()`.
+     */
+    setClock(clock) {
+        const wasRunning = this._frameId !== null;
+        this._cancelFrame();
+        this.clock = clock;
+        if (wasRunning) {
+            this._ensureRunning();
+        }
+    }
+
+    /**
+     * Speeds up or slows down everything on the scene's loop: moving blocks, tweens and timelines.
+     * @param {number} scale - 1 for real time, 0.5 for half speed, 0 to freeze.
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+
+    /**
+     * Sets the acceleration applied to every moving block.
+     * @param {number} x - Horizontal acceleration in pixels per second squared.
+     * @param {number} y - Vertical acceleration in pixels per second squared (positive is down).
+     */
+    setGravity(x, y) {
+        this.gravity = { x: x, y: y };
+    }
+
+    /**
+     * Registers an animation entry, replacing any existing entry for the same block.
+     * @param {object} entry - The animation entry created by moveBlock.
+     */
+    add(entry) {
+        this.animations.set(entry.blockId, entry);
+        this.spatialIndex.update(entry.blockObject);
+        entry.allBlocks.forEach(block => this.spatialIndex.update(block));
+        this._ensureRunning();
+    }
+
+    /**
+     * Runs a task on the scene's loop until it finishes. A task implements `step(dt)`, called
+     * once per fixed step with the step length in seconds and returning false once it is done,
+     * and optionally `render(alpha)`, called once per frame.
+     * @param {object} task - The task to run.
+     */
+    addTask(task) {
+        this.tasks.add(task);
+        this._ensureRunning();
+    }
+
+    /**
+     * Stops running a task added with addTask.
+     * @param {object} task - The task to remove.
+     */
+    removeTask(task) {
+        this.tasks.delete(task);
+        if (!this._hasWork()) {
+            this._cancelFrame();
+        }
+    }
+
+    /**
+     * Re-indexes a block after it was moved or resized outside of the simulation. A block inside
+     * a group re-indexes the outermost group instead, as its own coordinates are the group's.
+     * @param {Block} block - The block to re-index.
+     */
+    updateBlockIndex(block) {
+        this.spatialIndex.update(getOutermostBlock(block));
+    }
+
+    /**
+     * Drops a block from the spatial index, e.g. when it is removed from the page.
+     * @param {string} blockId - The ID of the block.
+     */
+    removeBlockIndex(blockId) {
+        this.spatialIndex.remove(blockId);
+    }
+
+    /**
+     * Finds the indexed blocks whose bounds overlap a rectangle.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} rect - The area to search.
+     * @returns {Array<Block>} The blocks touching the rectangle.
+     */
+    queryRect(rect) {
+        return this.spatialIndex.query(rect).filter(block => {
+            const bounds = block.getBounds();
+            return bounds.minX <= rect.maxX && bounds.maxX >= rect.minX &&
+                bounds.minY <= rect.maxY && bounds.maxY >= rect.minY;
+        });
+    }
+
+    /**
+     * Finds the indexed blocks whose shape contains a point.
+     * @param {number} x - The x coordinate.
+     * @param {number} y - The y coordinate.
+     * @returns {Array<Block>} The blocks under the point.
+     */
+    queryPoint(x, y) {
+        return this.spatialIndex.query({ minX: x, minY: y, maxX: x, maxY: y })
+            .filter(block => blockContainsPoint(block, x, y));
+    }
+
+    /**
+     * Removes a block's animation entry and draws the block at its final position.
+     * @param {string} blockId - The ID of the block.
+     */
+    remove(blockId) {
+        const entry = this.animations.get(blockId);
+        if (!entry) return;
+        this._finish(entry, createPaperfoldEvent('stop', { block: entry.blockObject, reason: 'manual' }, false));
+    }
+
+    /**
+     * Stops every animation entry and task whose `owningComponent` is the given component.
+     * Tasks are stopped with their `cancel()` or `pause()` method where they have one.
+     * @param {Component} component - The component being torn down.
+     */
+    removeOwnedBy(component) {
+        Array.from(this.animations.values()).forEach(entry => {
+            if (entry.owningComponent === component) {
+                this.remove(entry.blockId);
+            }
+        });
+        Array.from(this.tasks).forEach(task => {
+            if (task.owningComponent !== component) return;
+            if (typeof task.cancel === 'function') {
+                task.cancel();
+            } else if (typeof task.pause === 'function') {
+                task.pause();
+            } else {
+                this.removeTask(task);
+            }
+        });
+    }
+
+    /**
+     * Calls the event's handler on each given entry, then the scene's listeners.
+     * @param {object} event - An event created with createPaperfoldEvent.
+     * @param {Array<object>} entries - The animation entries involved.
+     * @returns {object} The event, to check `defaultPrevented` and any altered fields.
+     */
+    dispatch(event, entries) {
+        entries.forEach(entry => {
+            const handler = entry.handlers && entry.handlers[event.type];
+            if (typeof handler === 'function') {
+                handler(event);
+            }
+        });
+        return this.emit(event.type, event);
+    }
+
+    /**
+     * Runs the scene forward by an amount of time at once, without waiting for frames: as many
+     * fixed steps as fit (after the time scale), then one render. Time left over carries into the
+     * next call. Meant for scenes whose clock doesn't run frames by itself, such as a ManualClock
+     * when headless (e.g. under Node), so results only depend on the calls made.
+     * @param {number} ms - Milliseconds to simulate.
+     */
+    advance(ms) {
+        const workStart = realTimeNow();
+        this._collisionChecks = 0;
+        this._accumulator += Math.max(0, ms) / 1000 * this.timeScale;
+        let steps = 0;
+        // The tolerance lets e.g. 1000 ms run exactly 60 steps of 1/60 s despite rounding
+        while (this._accumulator >= this.fixedStep - 1e-9 && this._hasWork()) {
+            this.step(this.fixedStep);
+            this._accumulator -= this.fixedStep;
+            steps++;
+        }
+        if (!this._hasWork()) {
+            this._accumulator = 0; // Nothing to run; idle time isn't saved up
+        }
+        this._accumulator = Math.max(0, this._accumulator);
+        this.render(this._accumulator / this.fixedStep);
+        this._recordFrameStats(Math.max(0, ms), steps, realTimeNow() - workStart);
+    }
+
+    /**
+     * Advances every animation by one step.
+     * @param {number} dt - The step length in seconds.
+     */
+    step(dt) {
+        Array.from(this.tasks).forEach(task => {
+            if (this.tasks.has(task) && task.step(dt) === false) {
+                this.tasks.delete(task);
+            }
+        });
+
+        const entries = Array.from(this.animations.values());
+
+        entries.forEach(entry => {
+            const block = entry.blockObject;
+            entry.prevX = block.x;
+            entry.prevY = block.y;
+            entry.prevRotation = block.rotation;
+            if (entry.paused) {
+                this.spatialIndex.update(block);
+                return; // Held in place, e.g. while dragged
+            }
+            if (!entry.sleeping) {
+                this._integrate(entry, dt);
+            }
+            applyBoundary(entry, this);
+            this.spatialIndex.update(block);
+        });
+
+        this._resolveCollisions(entries);
+        entries.forEach(entry => this.spatialIndex.update(entry.blockObject));
+
+        entries.forEach(entry => {
+            if (this.animations.get(entry.blockId) !== entry || entry.paused) return;
+            this._updateSleep(entry, dt);
+            entry.elapsed += dt * 1000;
+            if (!entry.stopReason && entry.duration > 0 && entry.elapsed >= entry.duration) {
+                entry.stopReason = 'duration';
+            }
+            if (entry.stopReason) {
+                const event = this.dispatch(createPaperfoldEvent('stop', {
+                    block: entry.blockObject,
+                    reason: entry.stopReason,
+                    ...entry.stopDetails
+                }), [entry]);
+                if (event.defaultPrevented) {
+                    if (entry.stopReason === 'duration') {
+                        entry.duration = 0;
+                    }
+                    entry.stopReason = null;
+                    entry.stopDetails = null;
+                    return;
+                }
+                this._finish(entry, null);
+            }
+        });
+    }
+
+    /**
+     * Draws every animated block between its previous and current step position.
+     * @param {number} alpha - How far the clock is into the next step (0-1).
+     */
+    render(alpha) {
+        this.tasks.forEach(task => {
+            if (typeof task.render === 'function') {
+                task.render(alpha);
+            }
+        });
+        this.animations.forEach(entry => {
+            const block = entry.blockObject;
+            entry.owningComponent.updateBlockVisuals(entry.blockId, block, {
+                x: entry.prevX + (block.x - entry.prevX) * alpha,
+                y: entry.prevY + (block.y - entry.prevY) * alpha,
+                rotation: entry.prevRotation + (block.rotation - entry.prevRotation) * alpha
+            });
+        });
+        this.renderers.forEach(renderer => renderer.draw());
+    }
+
+    /**
+     * Has a renderer's `draw()` called at the end of every frame the scene renders.
+     * @param {object} renderer - The renderer.
+     */
+    addRenderer(renderer) {
+        this.renderers.add(renderer);
+    }
+
+    /**
+     * Stops calling a renderer added with addRenderer.
+     * @param {object} renderer - The renderer.
+     */
+    removeRenderer(renderer) {
+        this.renderers.delete(renderer);
+    }
+
+    /**
+     * Makes sure a frame is rendered soon, even when nothing is moving.
+     */
+    requestRender() {
+        this._ensureRunning();
+    }
+
+    /**
+     * Applies gravity, acceleration, pending forces, drag and the speed limit to an entry,
+     * then moves and turns its block (semi-implicit Euler).
+     */
+    _integrate(entry, dt) {
+        const block = entry.blockObject;
+        const gravityScale = block.static ? 0 : entry.gravityScale;
+        const inverseMass = block.inverseMass;
+
+        entry.currentSpeedX += (entry.accelerationX + this.gravity.x * gravityScale + entry.forceX * inverseMass) * dt;
+        entry.currentSpeedY += (entry.accelerationY + this.gravity.y * gravityScale + entry.forceY * inverseMass) * dt;
+        entry.forceX = 0;
+        entry.forceY = 0;
+
+        if (entry.drag > 0) {
+            const dragFactor = Math.max(0, 1 - entry.drag * dt);
+            entry.currentSpeedX *= dragFactor;
+            entry.currentSpeedY *= dragFactor;
+        }
+
+        const speed = Math.sqrt(entry.currentSpeedX * entry.currentSpeedX + entry.currentSpeedY * entry.currentSpeedY);
+        if (entry.maxSpeed > 0 && speed > entry.maxSpeed) {
+            entry.currentSpeedX *= entry.maxSpeed / speed;
+            entry.currentSpeedY *= entry.maxSpeed / speed;
+        }
+        if (speed > 0) {
+            entry.angle = Math.atan2(entry.currentSpeedY, entry.currentSpeedX) * 180 / Math.PI;
+        }
+
+        block.x += entry.currentSpeedX * dt;
+        block.y += entry.currentSpeedY * dt;
+        block.rotation += block.angularVelocity * dt;
+    }
+
+    /**
+     * Puts an entry to sleep once it has stayed below its sleep speed for its sleep delay.
+     */
+    _updateSleep(entry, dt) {
+        if (entry.sleepSpeed <= 0 || entry.sleeping) return;
+        const block = entry.blockObject;
+        const speed = Math.sqrt(entry.currentSpeedX * entry.currentSpeedX + entry.currentSpeedY * entry.currentSpeedY);
+        // Speed of the block's outermost point from spinning
+        const bounds = block.getBounds();
+        const spinSpeed = Math.abs(block.angularVelocity * Math.PI / 180) * Math.hypot(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) / 2;
+        if (speed >= entry.sleepSpeed || spinSpeed >= entry.sleepSpeed) {
+            entry.stillTime = 0;
+            return;
+        }
+        entry.stillTime += dt * 1000;
+        if (entry.stillTime >= entry.sleepDelay) {
+            entry.sleeping = true;
+            entry.currentSpeedX = 0;
+            entry.currentSpeedY = 0;
+            block.angularVelocity = 0;
+        }
+    }
+
+    /**
+     * Drops an entry, draws its block at rest and reports the 'stop' event if one is given
+     * (stop events for step-driven stops are dispatched before they get here).
+     */
+    _finish(entry, stopEvent) {
+        this.animations.delete(entry.blockId);
+        entry.owningComponent.updateBlockVisuals(entry.blockId, entry.blockObject);
+        if (stopEvent) {
+            this.dispatch(stopEvent, [entry]);
+        }
+        if (!this._hasWork()) {
+            this._cancelFrame();
+        }
+    }
+
+    _hasWork() {
+        return this.animations.size > 0 || this.tasks.size > 0;
+    }
+
+    _resolveCollisions(entries) {
+        const checkedPairs = new Set();
+        entries.forEach(entry => {
+            if (entry.collision === 'pass') return;
+            const candidates = this.spatialIndex.query(entry.blockObject.getBounds());
+            for (const otherBlock of candidates) {
+                if (otherBlock.id === entry.blockId) continue; // Don't collide with self
+                if (!entry.collisionBlockIds.has(otherBlock.id)) continue;
+                let otherEntry = this.animations.get(otherBlock.id);
+                if (!otherEntry) {
+                    if (!otherBlock.static) continue; // Only moving blocks and static obstacles take part
+                    otherEntry = { blockObject: otherBlock, currentSpeedX: 0, currentSpeedY: 0, collision: 'pass' };
+                }
+
+                const pairKey = entry.blockId < otherBlock.id
+                    ? `${entry.blockId}|${otherBlock.id}`
+                    : `${otherBlock.id}|${entry.blockId}`;
+                if (checkedPairs.has(pairKey)) continue;
+                checkedPairs.add(pairKey);
+
+                // 'stop' on either side wins over 'bounce'; resting obstacles use the mover's mode
+                const mode = entry.collision === 'stop' || otherEntry.collision === 'stop' ? 'stop' : 'bounce';
+                this._collisionChecks++;
+                resolveBlockCollision(entry, otherEntry, mode, this);
+            }
+        });
+    }
+
+    _ensureRunning() {
+        if (this._frameId !== null) return;
+        this._lastTime = this.clock.now();
+        this._accumulator = 0;
+        this._frameId = this.clock.requestFrame(this._onFrame);
+    }
+
+    _cancelFrame() {
+        if (this._frameId !== null) {
+            this.clock.cancelFrame(this._frameId);
+            this._frameId = null;
+        }
+    }
+
+    _onFrame(currentTime) {
+        const workStart = realTimeNow();
+        const frameTime = Math.max(0, currentTime - this._lastTime);
+        this._frameId = null;
+        this._collisionChecks = 0;
+        this._accumulator += frameTime / 1000 * this.timeScale;
+        this._lastTime = currentTime;
+
+        let steps = 0;
+        while (this._accumulator >= this.fixedStep && this._hasWork()) {
+            if (steps === this.maxSubSteps) {
+                this._accumulator = 0; // Too far behind; drop the time instead of spiralling
+                break;
+            }
+            this.step(this.fixedStep);
+            this._accumulator -= this.fixedStep;
+            steps++;
+        }
+        this.render(this._accumulator / this.fixedStep);
+        this._recordFrameStats(frameTime, steps, realTimeNow() - workStart);
+
+        if (this._hasWork() && this._frameId === null) {
+            this._frameId = this.clock.requestFrame(this._onFrame);
+        }
+    }
+
+    _recordFrameStats(frameTime, steps, workTime) {
+        const stats = this.stats;
+        if (frameTime > 0) {
+            const fps = 1000 / frameTime;
+            stats.fps = stats.fps > 0 ? stats.fps * 0.9 + fps * 0.1 : fps;
+        }
+        stats.frameTime = frameTime;
+        stats.workTime = workTime;
+        stats.steps = steps;
+        stats.animations = this.animations.size;
+        stats.collisionChecks = this._collisionChecks;
+    }
+}
+
+/**
+ * The scene that drives every animation started with moveBlock.
+ */
+const paperfoldScene = new Scene({ animations: activeBlockAnimations });
+
+const BOUNDARY_MODES = ['front', 'back', 'pass', 'bounce'];
+const BOUNDARY_EDGES = ['left', 'right', 'top', 'bottom'];
+
+const BOUNDARY_AXES = {
+    x: { minEdge: 'left', maxEdge: 'right', speedKey: 'currentSpeedX', prevKey: 'prevX', minKey: 'minX', maxKey: 'maxX' },
+    y: { minEdge: 'top', maxEdge: 'bottom', speedKey: 'currentSpeedY', prevKey: 'prevY', minKey: 'minY', maxKey: 'maxY' }
+};
+
+/**
+ * Expands a boundary setting into one mode per edge. Unknown or missing modes become 'pass'.
+ * @param {string|object} boundary - A mode for every edge, or an object with `left`, `right`, `top` and `bottom` modes.
+ * @returns {{left: string, right: string, top: string, bottom: string}} The mode of each edge.
+ */
+function normalizeBoundary(boundary) {
+    const modes = {};
+    BOUNDARY_EDGES.forEach(edge => {
+        const mode = typeof boundary === 'object' && boundary !== null ? boundary[edge] : boundary;
+        modes[edge] = BOUNDARY_MODES.includes(mode) ? mode : 'pass';
+    });
+    return modes;
+}
+
+/**
+ * Checks whether a block's extent along one axis has hit one side of the bounds.
+ * @param {string} mode - The side's boundary mode ('front', 'back', 'pass' or 'bounce').
+ * @param {string} side - 'min' for the left/top side, 'max' for the right/bottom side.
+ * @param {number} min - The block's lowest coordinate on the axis.
+ * @param {number} max - The block's highest coordinate on the axis.
+ * @param {number} speed - The block's speed along the axis; for 'bounce', that of the point
+ * touching the side (see getWallContactSpeed), so a block resting or sliding along it doesn't hit it.
+ * @param {number} lower - The bounds' lowest coordinate on the axis.
+ * @param {number} upper - The bounds' highest coordinate on the axis.
+ * @returns {boolean} True if the side was hit.
+ */
+function detectBoundaryHit(mode, side, min, max, speed, lower, upper) {
+    const towards = side === 'min' ? speed < 0 : speed > 0;
+    if (mode === 'front') {
+        return towards && (side === 'min' ? min <= lower : max >= upper);
+    } else if (mode === 'back') {
+        return towards && (side === 'min' ? max <= lower : min >= upper); // Trailing edge crosses the boundary
+    } else if (mode === 'bounce') {
+        return towards && (side === 'min' ? min <= lower : max >= upper);
+    }
+    // 'pass' wraps once the block is completely outside
+    return side === 'min' ? max < lower : min >= upper;
+}
+
+/**
+ * Returns the area an animation's block is kept in: the explicit `bounds` passed to moveBlock,
+ * else the owning component's world (see Component#getWorldBounds), else the browser window
+ * (unbounded where there is none).
+ * @param {object} entry - The block's animation entry.
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} The bounds.
+ */
+function getAnimationBounds(entry) {
+    if (entry.bounds) return entry.bounds;
+    if (typeof entry.owningComponent.getWorldBounds === 'function') {
+        return entry.owningComponent.getWorldBounds();
+    }
+    if (typeof entry.owningComponent.getContainerBounds === 'function') {
+        return entry.owningComponent.getContainerBounds();
+    }
+    if (typeof window === 'undefined') {
+        return { minX: -Infinity, minY: -Infinity, maxX: Infinity, maxY: Infinity }; // Headless: no walls
+    }
+    return { minX: 0, minY: 0, maxX: window.innerWidth, maxY: window.innerHeight };
+}
+
+/**
+ * Keeps a block inside its animation's bounds according to the boundary mode of each edge.
+ * Every hit is reported as a 'boundary' event first, whose handlers may change or cancel the response.
+ * Stopping hits set `entry.stopReason`.
+ * @param {object} entry - The block's animation entry.
+ * @param {Scene} scene - The scene dispatching the events.
+ */
+function applyBoundary(entry, scene) {
+    const blockToMove = entry.blockObject;
+    const area = getAnimationBounds(entry);
+
+    ['x', 'y'].forEach(axis => {
+        const axisInfo = BOUNDARY_AXES[axis];
+        const lower = area[axisInfo.minKey];
+        const upper = area[axisInfo.maxKey];
+        const bounds = blockToMove.getBounds();
+        const min = bounds[axisInfo.minKey];
+        const max = bounds[axisInfo.maxKey];
+        const speed = entry[axisInfo.speedKey];
+        const speedInto = (edge, normalSign) => (entry.boundaryModes[edge] === 'bounce' ?
+            getWallContactSpeed(entry, axis, normalSign) : speed);
+
+        let side = null;
+        if (detectBoundaryHit(entry.boundaryModes[axisInfo.minEdge], 'min', min, max,
+            speedInto(axisInfo.minEdge, 1), lower, upper)) {
+            side = 'min';
+        } else if (detectBoundaryHit(entry.boundaryModes[axisInfo.maxEdge], 'max', min, max,
+            speedInto(axisInfo.maxEdge, -1), lower, upper)) {
+            side = 'max';
+        }
+        if (!side) return;
+
+        const edge = side === 'min' ? axisInfo.minEdge : axisInfo.maxEdge;
+        const normalSign = side === 'min' ? 1 : -1; // Points back into the bounds
+        const event = scene.dispatch(createPaperfoldEvent('boundary', {
+            block: blockToMove,
+            edge: edge,
+            normal: axis === 'x' ? { x: normalSign, y: 0 } : { x: 0, y: normalSign },
+            mode: entry.boundaryModes[edge]
+        }), [entry]);
+        if (event.defaultPrevented) return;
+
+        let shift = 0;
+        if (event.mode === 'front') {
+            shift = side === 'min' ? lower - min : upper - max;
+            entry.stopReason = 'boundary';
+            entry.stopDetails = { edge: edge };
+        } else if (event.mode === 'back') {
+            shift = side === 'min' ? lower - max : upper - min;
+            entry.stopReason = 'boundary';
+            entry.stopDetails = { edge: edge };
+        } else if (event.mode === 'bounce') {
+            shift = side === 'min' ? lower - min : upper - max;
+            bounceOffWall(entry, axis, normalSign);
+            entry.angle = Math.atan2(entry.currentSpeedY, entry.currentSpeedX) * 180 / Math.PI;
+        } else if (event.mode === 'pass') {
+            const size = max - min;
+            shift = positiveModulo(min - lower + size, upper - lower + size) - size - (min - lower);
+            // Shift the previous position along with a wrap so rendering doesn't interpolate across the bounds
+            entry[axisInfo.prevKey] += shift;
+        }
+        blockToMove[axis] += shift;
+    });
+}
+
+// --- Collision Detection ---
+
+const COLLISION_SAMPLE_DIRECTIONS = 32;
+
+/**
+ * Describes a block's outline for collision detection as a convex shape around its center.
+ * `support(nx, ny)` returns how far the outline reaches from the center along the unit vector (nx, ny),
+ * `point(nx, ny)` the outline point that reaches that far (the middle of a side facing that way),
+ * `axes` lists the exact separating axes of flat-sided shapes and `smooth` marks curved outlines
+ * whose separating axis has to be searched for. The block's rotation is applied to all of them.
+ * @param {Block} block - The block to describe.
+ * @returns {{cx: number, cy: number, axes: Array<Array<number>>, smooth: boolean, support: function, point: function}}
+ */
+function getCollisionShape(block) {
+    const center = block.getCenter();
+    const radians = block.rotation * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    // Direction or offset between the world and the block's unrotated frame
+    const toLocal = (x, y) => [x * cos + y * sin, -x * sin + y * cos];
+    const toWorld = (x, y) => [center.x + x * cos - y * sin, center.y + x * sin + y * cos];
+
+    if (block.shape === 'circle') {
+        const rx = block.radiusX;
+        const ry = block.radiusY;
+        const support = (nx, ny) => {
+            const [lx, ly] = toLocal(nx, ny);
+            return Math.sqrt(rx * rx * lx * lx + ry * ry * ly * ly);
+        };
+        return {
+            cx: center.x,
+            cy: center.y,
+            axes: [],
+            smooth: true,
+            support: support,
+            point: (nx, ny) => {
+                const [lx, ly] = toLocal(nx, ny);
+                const reach = support(nx, ny);
+                const [x, y] = reach > 0 ? toWorld(rx * rx * lx / reach, ry * ry * ly / reach) : toWorld(0, 0);
+                return { x, y };
+            }
+        };
+    }
+    // Every other shape is a convex polygon, possibly rounded off (see Block#getLocalVertices)
+    const vertices = block.getLocalVertices();
+    const radius = block.outlineRadius;
+    // Corners reaching this close to the furthest one count as a side facing that way
+    const tolerance = 0.01 * (block.actualWidth + block.actualHeight);
+    const reachOf = (lx, ly) => vertices.map(([x, y]) => x * lx + y * ly);
+    const axes = [];
+    vertices.forEach(([x1, y1], i) => {
+        const [x2, y2] = vertices[(i + 1) % vertices.length];
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        if (length === 0) return;
+        const nx = (y2 - y1) / length;
+        const ny = -(x2 - x1) / length;
+        axes.push([nx * cos - ny * sin, nx * sin + ny * cos]);
+    });
+    return {
+        cx: center.x,
+        cy: center.y,
+        axes: axes,
+        smooth: radius > 0,
+        support: (nx, ny) => {
+            const [lx, ly] = toLocal(nx, ny);
+            return Math.max(...reachOf(lx, ly)) + radius;
+        },
+        point: (nx, ny) => {
+            const [lx, ly] = toLocal(nx, ny);
+            const reach = reachOf(lx, ly);
+            const furthest = Math.max(...reach);
+            let sumX = 0;
+            let sumY = 0;
+            let count = 0;
+            reach.forEach((value, i) => {
+                if (value >= furthest - tolerance) {
+                    sumX += vertices[i][0];
+                    sumY += vertices[i][1];
+                    count++;
+                }
+            });
+            const [x, y] = toWorld(sumX / count + radius * lx, sumY / count + radius * ly);
+            return { x, y };
+        }
+    };
+}
+
+/**
+ * Checks whether a point lies inside a block's shape.
+ * @param {Block} block - The block to test.
+ * @param {number} x - The x coordinate.
+ * @param {number} y - The y coordinate.
+ * @returns {boolean} True if the point is inside the block.
+ */
+function blockContainsPoint(block, x, y) {
+    if (block instanceof BlockGroup) {
+        const local = block.toLocal(x, y);
+        return block.children.some(child => blockContainsPoint(child, local.x, local.y));
+    }
+    const center = block.getCenter();
+    const radians = block.rotation * Math.PI / 180;
+    const offsetX = x - center.x;
+    const offsetY = y - center.y;
+    const localX = offsetX * Math.cos(radians) + offsetY * Math.sin(radians);
+    const localY = -offsetX * Math.sin(radians) + offsetY * Math.cos(radians);
+    if (block.shape === 'circle') {
+        if (block.radiusX <= 0 || block.radiusY <= 0) return false;
+        const u = localX / block.radiusX;
+        const v = localY / block.radiusY;
+        return u * u + v * v <= 1;
+    }
+    return distanceToConvexPolygon(block.getLocalVertices(), localX, localY) <= block.outlineRadius;
+}
+
+/**
+ * Returns how far a point is from a convex polygon, or 0 if it is inside.
+ * @param {Array<Array<number>>} vertices - The corners, in order; two corners make a segment.
+ * @param {number} x - The x coordinate.
+ * @param {number} y - The y coordinate.
+ * @returns {number} The distance.
+ */
+function distanceToConvexPolygon(vertices, x, y) {
+    let inside = vertices.length >= 3;
+    let sign = 0;
+    let distance = Infinity;
+    vertices.forEach(([x1, y1], i) => {
+        const [x2, y2] = vertices[(i + 1) % vertices.length];
+        const edgeX = x2 - x1;
+        const edgeY = y2 - y1;
+        const cross = edgeX * (y - y1) - edgeY * (x - x1);
+        if (cross !== 0) {
+            if (sign !== 0 && Math.sign(cross) !== sign) inside = false;
+            sign = Math.sign(cross);
+        }
+        const lengthSquared = edgeX * edgeX + edgeY * edgeY;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((x - x1) * edgeX + (y - y1) * edgeY) / lengthSquared)) : 0;
+        distance = Math.min(distance, Math.hypot(x - (x1 + t * edgeX), y - (y1 + t * edgeY)));
+    });
+    return inside ? 0 : distance;
+}
+
+/**
+ * Checks whether two blocks overlap, for every combination of (possibly rotated) shapes,
+ * including stretched circles and rounded outlines. The contact normal points from blockA towards blockB, and moving
+ * blockB by `depth` along it (or blockA by `depth` against it) separates the pair.
+ * (x, y) is an estimate of where they touch, midway between the two outlines.
+ * @param {Block} blockA - The first block.
+ * @param {Block} blockB - The second block.
+ * @returns {{nx: number, ny: number, depth: number, x: number, y: number}|null} The contact, or null if the blocks don't overlap.
+ */
+function detectBlockCollision(blockA, blockB) {
+    const boundsA = blockA.getBounds();
+    const boundsB = blockB.getBounds();
+    if (boundsA.maxX <= boundsB.minX || boundsB.maxX <= boundsA.minX ||
+        boundsA.maxY <= boundsB.minY || boundsB.maxY <= boundsA.minY) {
+        return null;
+    }
+
+    const shapeA = getCollisionShape(blockA);
+    const shapeB = getCollisionShape(blockB);
+    const dx = shapeB.cx - shapeA.cx;
+    const dy = shapeB.cy - shapeA.cy;
+
+    // Overlap of the two outlines projected onto the direction (nx, ny)
+    const overlapAlong = (nx, ny) => shapeA.support(nx, ny) + shapeB.support(-nx, -ny) - (dx * nx + dy * ny);
+
+    let best = null;
+    const consider = (nx, ny) => {
+        const overlap = overlapAlong(nx, ny);
+        if (!best || overlap < best.depth) {
+            best = { nx: nx, ny: ny, depth: overlap };
+        }
+    };
+
+    shapeA.axes.concat(shapeB.axes).forEach(([ax, ay]) => {
+        consider(ax, ay);
+        consider(-ax, -ay);
+    });
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance > 0) {
+        consider(dx / distance, dy / distance);
+    }
+
+    if (shapeA.smooth || shapeB.smooth) {
+        // Curved outlines: sample directions, then narrow down around the best sample
+        const stepAngle = 2 * Math.PI / COLLISION_SAMPLE_DIRECTIONS;
+        let bestAngle = 0;
+        let bestSample = Infinity;
+        for (let i = 0; i < COLLISION_SAMPLE_DIRECTIONS; i++) {
+            const overlap = overlapAlong(Math.cos(i * stepAngle), Math.sin(i * stepAngle));
+            if (overlap < bestSample) {
+                bestSample = overlap;
+                bestAngle = i * stepAngle;
+            }
+        }
+        let low = bestAngle - stepAngle;
+        let high = bestAngle + stepAngle;
+        for (let i = 0; i < 20; i++) {
+            const m1 = low + (high - low) / 3;
+            const m2 = high - (high - low) / 3;
+            if (overlapAlong(Math.cos(m1), Math.sin(m1)) < overlapAlong(Math.cos(m2), Math.sin(m2))) {
+                high = m2;
+            } else {
+                low = m1;
+            }
+        }
+        const refinedAngle = (low + high) / 2;
+        consider(Math.cos(refinedAngle), Math.sin(refinedAngle));
+    }
+
+    if (!best || best.depth <= 0) return null;
+    const pointA = shapeA.point(best.nx, best.ny);
+    const pointB = shapeB.point(-best.nx, -best.ny);
+    best.x = (pointA.x + pointB.x) / 2;
+    best.y = (pointA.y + pointB.y) / 2;
+    return best;
+}
+
+/**
+ * Returns how fast the point where a block touches a wall moves along the wall's axis, counting
+ * the block's spin (see bounceOffWall).
+ * @param {object} entry - The block's animation entry.
+ * @param {string} axis - 'x' for the left/right walls, 'y' for the top/bottom walls.
+ * @param {number} normalSign - 1 for the left/top wall, -1 for the right/bottom wall.
+ * @returns {number} The speed, positive towards the right/bottom.
+ */
+function getWallContactSpeed(entry, axis, normalSign) {
+    const block = entry.blockObject;
+    const speed = axis === 'x' ? entry.currentSpeedX : entry.currentSpeedY;
+    if (!block.angularVelocity) return speed;
+    const shape = getCollisionShape(block);
+    const contact = axis === 'x' ? shape.point(-normalSign, 0) : shape.point(0, -normalSign);
+    const spin = block.angularVelocity * Math.PI / 180;
+    return axis === 'x' ? speed - spin * (contact.y - shape.cy) : speed + spin * (contact.x - shape.cx);
+}
+
+/**
+ * Reflects a block's velocity off a wall, keeping the share of speed given by its
+ * restitution and slowing its sliding speed according to its friction. A block with
+ * `spinOnCollision` also picks up spin when it hits the wall off-center (e.g. with a corner).
+ * @param {object} entry - The block's animation entry.
+ * @param {string} axis - 'x' for the left/right walls, 'y' for the top/bottom walls.
+ * @param {number} normalSign - 1 for the left/top wall, -1 for the right/bottom wall.
+ */
+function bounceOffWall(entry, axis, normalSign) {
+    const block = entry.blockObject;
+    const nx = axis === 'x' ? normalSign : 0;
+    const ny = axis === 'y' ? normalSign : 0;
+    const shape = getCollisionShape(block);
+    const contact = shape.point(-nx, -ny);
+    const rx = contact.x - shape.cx;
+    const ry = contact.y - shape.cy;
+    // The wall can't move, so only the block's inertia relative to its mass matters
+    const inertiaRatio = block.inverseMass > 0 ? block.inverseInertia / block.inverseMass : 0;
+    let spin = block.angularVelocity * Math.PI / 180;
+
+    const velocityAt = () => [entry.currentSpeedX - spin * ry, entry.currentSpeedY + spin * rx];
+    const push = (dirX, dirY, amount) => {
+        entry.currentSpeedX += amount * dirX;
+        entry.currentSpeedY += amount * dirY;
+        spin += (rx * dirY - ry * dirX) * amount * inertiaRatio;
+    };
+
+    let [velocityX, velocityY] = velocityAt();
+    const normalSpeed = velocityX * nx + velocityY * ny;
+    if (normalSpeed >= 0) return; // Already moving away from the wall
+
+    const rn = rx * ny - ry * nx;
+    const normalAmount = -(1 + block.restitution) * normalSpeed / (1 + rn * rn * inertiaRatio);
+    push(nx, ny, normalAmount);
+
+    // Coulomb friction: the sliding slow-down is bounded by the size of the bounce
+    [velocityX, velocityY] = velocityAt();
+    const tx = -ny;
+    const ty = nx;
+    const tangentSpeed = velocityX * tx + velocityY * ty;
+    const rt = rx * ty - ry * tx;
+    const frictionAmount = Math.min(Math.abs(tangentSpeed) / (1 + rt * rt * inertiaRatio), block.friction * normalAmount);
+    push(tx, ty, -Math.sign(tangentSpeed) * frictionAmount);
+
+    block.angularVelocity = spin * 180 / Math.PI;
+}
+
+/**
+ * Resolves a collision between two moving blocks, if they overlap.
+ * The contact is reported as a 'collide' event first, whose handlers may change or cancel the response.
+ * @param {object} entryA - Animation entry of the first block.
+ * @param {object} entryB - Animation entry of the second block.
+ * @param {string} mode - 'stop' or 'bounce'.
+ * @param {Scene} scene - The scene dispatching the events.
+ */
+function resolveBlockCollision(entryA, entryB, mode, scene) {
+    const blockToMove = entryA.blockObject;
+    const otherBlock = entryB.blockObject;
+
+    // Paused (e.g. dragged) blocks hold their place like static ones
+    const inverseMassA = entryA.paused ? 0 : blockToMove.inverseMass;
+    const inverseMassB = entryB.paused ? 0 : otherBlock.inverseMass;
+    const inverseMassSum = inverseMassA + inverseMassB;
+    if (inverseMassSum === 0) return; // Two immovable blocks
+
+    const contact = detectBlockCollision(blockToMove, otherBlock);
+    if (!contact) return;
+
+    const nx = contact.nx; // Normal X
+    const ny = contact.ny; // Normal Y
+
+    const event = scene.dispatch(createPaperfoldEvent('collide', {
+        blockA: blockToMove,
+        blockB: otherBlock,
+        normal: { x: nx, y: ny },
+        depth: contact.depth,
+        point: { x: contact.x, y: contact.y },
+        mode: mode
+    }), [entryA, entryB]);
+    if (event.defaultPrevented || event.mode === 'pass') return;
+
+    if (event.mode === 'stop') {
+        // Stop both blocks
+        entryA.currentSpeedX = 0;
+        entryA.currentSpeedY = 0;
+        entryB.currentSpeedX = 0;
+        entryB.currentSpeedY = 0;
+        entryA.stopReason = 'collision';
+        entryA.stopDetails = { otherBlock: otherBlock };
+        entryB.stopReason = 'collision';
+        entryB.stopDetails = { otherBlock: blockToMove };
+    } else if (event.mode === 'bounce') {
+        // Offsets of the contact point from each center, for spin
+        const shapeA = getCollisionShape(blockToMove);
+        const shapeB = getCollisionShape(otherBlock);
+        const rAx = contact.x - shapeA.cx;
+        const rAy = contact.y - shapeA.cy;
+        const rBx = contact.x - shapeB.cx;
+        const rBy = contact.y - shapeB.cy;
+        const inverseInertiaA = entryA.paused ? 0 : blockToMove.inverseInertia;
+        const inverseInertiaB = entryB.paused ? 0 : otherBlock.inverseInertia;
+        let spinA = (blockToMove.angularVelocity || 0) * Math.PI / 180;
+        let spinB = (otherBlock.angularVelocity || 0) * Math.PI / 180;
+
+        // Velocity of the other block relative to this one, at the contact point
+        const relativeVelocity = () => [
+            (entryB.currentSpeedX - spinB * rBy) - (entryA.currentSpeedX - spinA * rAy),
+            (entryB.currentSpeedY + spinB * rBx) - (entryA.currentSpeedY + spinA * rAx)
+        ];
+        // Resistance to an impulse along (dirX, dirY) at the contact point
+        const effectiveInverseMass = (dirX, dirY) => {
+            const armA = rAx * dirY - rAy * dirX;
+            const armB = rBx * dirY - rBy * dirX;
+            return inverseMassSum + armA * armA * inverseInertiaA + armB * armB * inverseInertiaB;
+        };
+        // Pushes B along (dirX, dirY) and A the opposite way
+        const applyImpulsePair = (dirX, dirY, amount) => {
+            entryA.currentSpeedX -= amount * inverseMassA * dirX;
+            entryA.currentSpeedY -= amount * inverseMassA * dirY;
+            entryB.currentSpeedX += amount * inverseMassB * dirX;
+            entryB.currentSpeedY += amount * inverseMassB * dirY;
+            spinA -= (rAx * dirY - rAy * dirX) * amount * inverseInertiaA;
+            spinB += (rBx * dirY - rBy * dirX) * amount * inverseInertiaB;
+        };
+
+        let [relativeX, relativeY] = relativeVelocity();
+        const normalSpeed = relativeX * nx + relativeY * ny;
+
+        // Only push the blocks apart while they are still approaching each other
+        if (normalSpeed < 0) {
+            entryA.sleeping = false;
+            entryB.sleeping = false;
+            const restitution = Math.min(blockToMove.restitution, otherBlock.restitution);
+            const impulse = -(1 + restitution) * normalSpeed / effectiveInverseMass(nx, ny);
+            applyImpulsePair(nx, ny, impulse);
+
+            // Friction acts against the sliding part of the relative velocity
+            [relativeX, relativeY] = relativeVelocity();
+            const slideNormal = relativeX * nx + relativeY * ny;
+            const slideX = relativeX - slideNormal * nx;
+            const slideY = relativeY - slideNormal * ny;
+            const slideSpeed = Math.sqrt(slideX * slideX + slideY * slideY);
+            const friction = Math.sqrt(blockToMove.friction * otherBlock.friction);
+            if (slideSpeed > 0 && friction > 0) {
+                const tx = slideX / slideSpeed; // Tangent X
+                const ty = slideY / slideSpeed; // Tangent Y
+                const frictionImpulse = Math.min(slideSpeed / effectiveInverseMass(tx, ty), friction * impulse);
+                applyImpulsePair(tx, ty, -frictionImpulse);
+            }
+            if (inverseInertiaA > 0) blockToMove.angularVelocity = spinA * 180 / Math.PI;
+            if (inverseInertiaB > 0) otherBlock.angularVelocity = spinB * 180 / Math.PI;
+
+            // Update angles (important for resize re-initiation)
+            entryA.angle = Math.atan2(entryA.currentSpeedY, entryA.currentSpeedX) * 180 / Math.PI;
+            entryB.angle = Math.atan2(entryB.currentSpeedY, entryB.currentSpeedX) * 180 / Math.PI;
+        }
+    }
+
+    // Separate the blocks to prevent sticking, the lighter block moving further
+    const separationX = contact.depth * nx / inverseMassSum;
+    const separationY = contact.depth * ny / inverseMassSum;
+
+    blockToMove.x -= separationX * inverseMassA;
+    blockToMove.y -= separationY * inverseMassA;
+    otherBlock.x += separationX * inverseMassB;
+    otherBlock.y += separationY * inverseMassB;
+}
+
+/**
+ * Initiates continuous movement for a block using direct DOM manipulation for visuals.
+ * The block is registered with `paperfoldScene`, which steps every moving block from one shared loop.
+ * The owningComponent is expected to implement `updateBlockVisuals(blockId, blockData, position)`
+ * to apply style changes (e.g., CSS transforms) to the block's DOM element.
+ *
+ * @param {Block} blockObject - The Block object to move. Blocks inside a group can't be moved on
+ * their own (their coordinates are the group's); move the group.
+ * @param {number} angle - The direction of movement in degrees (0-360).
+ * @param {number} pps - Pixels per second to move.
+ * @param {Component} owningComponent - The instance of the Component that owns this Block.
+ * Must implement `updateBlockVisuals`.
+ * @param {string|object} [boundary='pass'] - How the block behaves on collision with the edges of its bounds
+ * ('front', 'back', 'pass', 'bounce'), either one mode for every edge or an object with a mode per edge,
+ * e.g. `{ bottom: 'bounce', left: 'pass', right: 'pass' }` (missing edges use 'pass').
+ * The bounds are `options.bounds` if given, else the owning component's element, else the browser window.
+ * - 'front': Stops when its front part hits the wall.
+ * - 'back': Stops when its back part hits/crosses the wall.
+ * - 'pass': Passes through the wall, reappearing on the opposite side.
+ * - 'bounce': Bounces in the opposite direction when hitting the wall.
+ * @param {string} [collision='pass'] - How the block behaves on collision with other blocks ('stop', 'bounce', 'pass').
+ * - 'stop': Both colliding blocks stop.
+ * - 'bounce': Both colliding blocks bounce off each other, according to their mass, restitution and friction.
+ * - 'pass': Blocks pass through each other without interaction.
+ * @param {number} [duration=0] - Optional: Duration in milliseconds of simulated time.
+ * @param {Array<Block>} [allBlocks=[]] - An array of all blocks in the scene for inter-block collision detection.
+ * A block inside a group stands for its outermost group.
+ * Blocks created with `static: true` act as obstacles here even when they aren't moving themselves.
+ * @param {object} [options={}] - Optional bounds, forces and event handlers.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} [options.bounds] - A fixed area to keep the block in.
+ * @param {{x: number, y: number}} [options.acceleration] - Constant acceleration in pixels per second squared.
+ * @param {number} [options.gravityScale=1] - Multiplier for the scene's gravity.
+ * @param {number} [options.drag=0] - Share of the speed lost per second (linear drag).
+ * @param {number} [options.maxSpeed=0] - Speed limit in pixels per second; 0 for none.
+ * @param {number} [options.sleepSpeed=0] - Below this speed the block may fall asleep; 0 never sleeps.
+ * @param {number} [options.sleepDelay=500] - Milliseconds below `sleepSpeed` before the block sleeps.
+ * A sleeping block keeps its animation entry but stops moving until a collision, impulse or force wakes it.
+ * @param {function} [options.onCollide] - Called with the scene's 'collide' event when this block touches another.
+ * @param {function} [options.onBoundary] - Called with the scene's 'boundary' event when this block reaches an edge.
+ * @param {function} [options.onStop] - Called with the scene's 'stop' event when this animation ends.
+ */
+function moveBlock(blockObject, angle, pps, owningComponent, boundary = 'pass', collision = 'pass', duration = 0, allBlocks = [], options = {}) {
+    if (!owningComponent || typeof owningComponent.updateBlockVisuals !== 'function') {
+        console.error("moveBlock: owningComponent is invalid or does not implement updateBlockVisuals(blockId, blockData).");
+        return;
+    }
+    if (!(blockObject instanceof Block)) {
+        console.error("moveBlock: Invalid blockObject provided. Must be an instance of Block.");
+        return;
+    }
+    if (blockObject.parent) {
+        console.error(`moveBlock: Block '${blockObject.id}' is inside a group; move the group instead.`);
+        return;
+    }
+    if (typeof angle !== 'number' || typeof pps !== 'number') {
+        console.error("moveBlock: Invalid angle or pps (pixels per second).");
+        return;
+    }
+    if (typeof boundary !== 'object' && !BOUNDARY_MODES.includes(boundary)) {
+        boundary = 'pass';
+    }
+    if (!['stop', 'bounce', 'pass'].includes(collision)) {
+        collision = 'pass';
+    }
+
+    const blockId = blockObject.id;
+    const acceleration = options.acceleration || {};
+    // Blocks inside a group collide as their group, the box around its children
+    allBlocks = Array.from(new Set(allBlocks.map(getOutermostBlock)));
+
+    paperfoldScene.tasks.forEach(task => {
+        if (task instanceof PathFollower && task.block === blockObject) {
+            task.cancel();
+        }
+    });
+
+    paperfoldScene.add({
+        blockId: blockId,
+        owningComponent: owningComponent,
+        blockObject: blockObject,
+        angle: angle,
+        pps: pps,
+        currentSpeedX: Math.cos(angle * Math.PI / 180) * pps,
+        currentSpeedY: Math.sin(angle * Math.PI / 180) * pps,
+        boundary: boundary,
+        boundaryModes: normalizeBoundary(boundary),
+        bounds: options.bounds || null,
+        collision: collision,
+        duration: duration || 0,
+        elapsed: 0,
+        allBlocks: allBlocks,
+        collisionBlockIds: new Set(allBlocks.map(block => block.id)),
+        prevX: blockObject.x,
+        prevY: blockObject.y,
+        prevRotation: blockObject.rotation,
+        accelerationX: acceleration.x || 0,
+        accelerationY: acceleration.y || 0,
+        gravityScale: options.gravityScale === undefined ? 1 : options.gravityScale,
+        drag: options.drag || 0,
+        maxSpeed: options.maxSpeed || 0,
+        forceX: 0,
+        forceY: 0,
+        sleepSpeed: options.sleepSpeed || 0,
+        sleepDelay: options.sleepDelay === undefined ? 500 : options.sleepDelay,
+        stillTime: 0,
+        sleeping: false,
+        paused: false,
+        handlers: {
+            collide: options.onCollide,
+            boundary: options.onBoundary,
+            stop: options.onStop
+        },
+        stopReason: null,
+        stopDetails: null
+    });
+}
+
+/**
+ * Stops ongoing movement for a block initiated by moveBlock.
+ * @param {string} blockId - The ID of the block to stop.
+ */
+function stopMovingBlock(blockId) {
+    paperfoldScene.remove(blockId);
+}
+
+/**
+ * Changes the velocity of a moving block at once, by impulse / mass.
+ * @param {string} blockId - The ID of a block animated with moveBlock.
+ * @param {number} impulseX - Horizontal impulse (mass times pixels per second).
+ * @param {number} impulseY - Vertical impulse (mass times pixels per second).
+ */
+function applyImpulse(blockId, impulseX, impulseY) {
+    const entry = activeBlockAnimations.get(blockId);
+    if (!entry) {
+        console.error(`applyImpulse: Block '${blockId}' is not moving.`);
+        return;
+    }
+    const inverseMass = entry.blockObject.inverseMass;
+    entry.currentSpeedX += impulseX * inverseMass;
+    entry.currentSpeedY += impulseY * inverseMass;
+    entry.sleeping = false;
+    entry.stillTime = 0;
+}
+
+/**
+ * Applies a force to a moving block during the next simulation step.
+ * @param {string} blockId - The ID of a block animated with moveBlock.
+ * @param {number} forceX - Horizontal force (mass times pixels per second squared).
+ * @param {number} forceY - Vertical force (mass times pixels per second squared).
+ */
+function applyForce(blockId, forceX, forceY) {
+    const entry = activeBlockAnimations.get(blockId);
+    if (!entry) {
+        console.error(`applyForce: Block '${blockId}' is not moving.`);
+        return;
+    }
+    entry.forceX += forceX;
+    entry.forceY += forceY;
+    entry.sleeping = false;
+    entry.stillTime = 0;
+}
+
+/**
+ * Finds the blocks known to the scene whose bounds overlap a rectangle.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} rect - The area to search.
+ * @returns {Array<Block>} The blocks touching the rectangle.
+ */
+function getBlocksInRect(rect) {
+    return paperfoldScene.queryRect(rect);
+}
+
+/**
+ * Finds the blocks known to the scene whose shape contains a point.
+ * @param {number} x - The x coordinate.
+ * @param {number} y - The y coordinate.
+ * @returns {Array<Block>} The blocks under the point.
+ */
+function getBlocksAtPoint(x, y) {
+    return paperfoldScene.queryPoint(x, y);
+}
+
+/**
+ * Turns a block at its `angularVelocity`, unless moveBlock is already moving it (the scene turns
+ * moving blocks itself). Created by spinBlock.
+ */
+class BlockSpin {
+    constructor(block, options) {
+        this.block = block;
+        this.duration = options.duration || 0;
+        this.owningComponent = options.owningComponent || null;
+        this.elapsed = 0;
+        this.finished = false;
+        this.promise = new Promise(resolve => {
+            this._resolve = resolve;
+        });
+    }
+
+    step(dt) {
+        if (!activeBlockAnimations.has(this.block.id)) {
+            this.block.rotation += this.block.angularVelocity * dt;
+        }
+        this.elapsed += dt * 1000;
+        if (this.duration > 0 && this.elapsed >= this.duration) {
+            this.block.angularVelocity = 0;
+            this._complete(true);
+            return false;
+        }
+        return true;
+    }
+
+    render() {
+        if (this.owningComponent && !activeBlockAnimations.has(this.block.id)) {
+            this.owningComponent.updateBlockVisuals(this.block.id, this.block);
+        }
+    }
+
+    /**
+     * Stops the spin, leaving the block at its current rotation.
+     */
+    cancel() {
+        paperfoldScene.removeTask(this);
+        this.block.angularVelocity = 0;
+        this._complete(false);
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.promise.then(onFulfilled, onRejected);
+    }
+
+    _complete(completed) {
+        if (this.finished) return;
+        this.finished = true;
+        this.render();
+        this._resolve(completed);
+    }
+}
+
+/**
+ * Spins a block at a constant angular velocity, whether or not it is moving with moveBlock,
+ * replacing any earlier spin of the same block. Collisions may change the spin of blocks
+ * created with `spinOnCollision: true`. To turn a block to a given angle instead, tween its
+ * `rotation` with animateBlock.
+ * @param {Block} blockObject - The Block object to spin.
+ * @param {number} angularVelocity - Degrees per second, clockwise (negative for counter-clockwise).
+ * @param {object} [options]
+ * @param {number} [options.duration=0] - Milliseconds until the spin stops; 0 spins until cancelled.
+ * @param {Component} [options.owningComponent] - The component whose DOM element is updated.
+ * Found with getOwningComponent when omitted.
+ * @returns {BlockSpin|null} A handle with `cancel()` that can be awaited, or null for invalid input
+ * or a block no component draws.
+ */
+function spinBlock(blockObject, angularVelocity, options = {}) {
+    if (!(blockObject instanceof Block)) {
+        console.error("spinBlock: Invalid blockObject provided. Must be an instance of Block.");
+        return null;
+    }
+    if (typeof angularVelocity !== 'number' || !isFinite(angularVelocity)) {
+        console.error("spinBlock: Invalid angularVelocity (degrees per second).");
+        return null;
+    }
+    const owningComponent = getOwningComponent(blockObject, options.owningComponent);
+    if (!owningComponent) {
+        console.error(`spinBlock: No component draws block '${blockObject.id}'; pass options.owningComponent.`);
+        return null;
+    }
+
+    paperfoldScene.tasks.forEach(task => {
+        if (task instanceof BlockSpin && task.block === blockObject) {
+            task.cancel();
+        }
+    });
+    const movement = activeBlockAnimations.get(blockObject.id);
+    const spin = new BlockSpin(blockObject, { ...options, owningComponent: owningComponent });
+    blockObject.angularVelocity = angularVelocity;
+    if (movement) {
+        movement.sleeping = false;
+    }
+    paperfoldScene.addTask(spin);
+    return spin;
+}
+
+// --- Scene Serialization ---
+
+const SCENE_FORMAT_VERSION = 1;
+
+/**
+ * Block properties written by serializeScene, with the type loadScene expects for each.
+ */
+const SERIALIZED_BLOCK_PROPS = {
+    id: 'string',
+    shape: 'string',
+    x: 'number',
+    y: 'number',
+    size: 'number',
+    scale_x: 'number',
+    scale_y: 'number',
+    borderWidth: 'number',
+    borderColor: 'string',
+    level: 'number',
+    opaque: 'number',
+    density: 'number',
+    restitution: 'number',
+    friction: 'number',
+    static: 'boolean',
+    draggable: 'boolean',
+    throwable: 'boolean',
+    fillColor: 'string',
+    fillGradient: 'object',
+    borderRadius: 'number',
+    shadow: 'object',
+    className: 'string',
+    style: 'object',
+    rotation: 'number',
+    angularVelocity: 'number',
+    spinOnCollision: 'boolean',
+    sides: 'number',
+    cornerRadius: 'number',
+    lineWidth: 'number',
+    text: 'string',
+    fontSize: 'number',
+    fontFamily: 'string'
+};
+
+/**
+ * Captures a component's blocks (through `getBlocks()`, if it has one), moving or not, and the
+ * state of the animations it owns (velocity, boundary and collision modes, remaining duration,
+ * forces and sleep state) as JSON. Without a component, every moving block and its animation are
+ * captured instead. The blocks an animation can collide with are always included.
+ * Groups are written with their children, and a block inside a group only as part of it.
+ * Event handlers are not included.
+ * @param {Component} [owningComponent] - The component whose blocks and animations to capture.
+ * @returns {string} The scene, in the format read by loadScene.
+ */
+function serializeScene(owningComponent) {
+    const blocks = new Map();
+    // Group children are written inside their group, so the top-level list holds the outermost group
+    const addBlock = block => {
+        const outermost = getOutermostBlock(block);
+        blocks.set(outermost.id, outermost);
+    };
+    if (owningComponent && typeof owningComponent.getBlocks === 'function') {
+        owningComponent.getBlocks().forEach(addBlock);
+    }
+    const animations = [];
+    activeBlockAnimations.forEach(entry => {
+        if (owningComponent && entry.owningComponent !== owningComponent) return;
+        addBlock(entry.blockObject);
+        entry.allBlocks.forEach(addBlock);
+        animations.push({
+            blockId: entry.blockId,
+            velocity: { x: entry.currentSpeedX, y: entry.currentSpeedY },
+            boundary: entry.boundary,
+            collision: entry.collision,
+            // 0 means no limit, so a limit that has just run out is kept at 1 ms
+            duration: entry.duration > 0 ? Math.max(1, entry.duration - entry.elapsed) : 0,
+            bounds: entry.bounds,
+            collisionBlockIds: Array.from(entry.collisionBlockIds),
+            acceleration: { x: entry.accelerationX, y: entry.accelerationY },
+            gravityScale: entry.gravityScale,
+            drag: entry.drag,
+            maxSpeed: entry.maxSpeed,
+            sleepSpeed: entry.sleepSpeed,
+            sleepDelay: entry.sleepDelay,
+            sleeping: entry.sleeping
+        });
+    });
+
+    const serializeBlock = block => {
+        const data = {};
+        Object.keys(SERIALIZED_BLOCK_PROPS).forEach(prop => {
+            data[prop] = block[prop];
+        });
+        if (block._mass !== undefined) {
+            data.mass = block._mass;
+        }
+        if (block.points) {
+            data.points = block.points.map(point => ({ x: point.x, y: point.y }));
+        }
+        if (block instanceof BlockGroup) {
+            data.children = block.children.map(serializeBlock);
+        }
+        return data;
+    };
+
+    return JSON.stringify({
+        version: SCENE_FORMAT_VERSION,
+        gravity: { x: paperfoldScene.gravity.x, y: paperfoldScene.gravity.y },
+        timeScale: paperfoldScene.timeScale,
+        blocks: Array.from(blocks.values()).map(serializeBlock),
+        animations: animations
+    });
+}
+
+/**
+ * Restores a scene written by serializeScene: creates its blocks, hands them to the component
+ * (through `setBlocks(blocks)`, if it has one) and restarts their animations where they left off.
+ * Animations the component owned before are stopped.
+ * @param {string|object} json - The serialized scene, as a string or already parsed.
+ * @param {Component} owningComponent - The component that draws the blocks.
+ * @returns {Array<Block>} The restored blocks.
+ * @throws {Error} If the input isn't valid JSON or doesn't match the scene format; the message
+ * names the offending field, e.g. "loadScene: blocks[2].x must be a finite number".
+ */
+function loadScene(json, owningComponent) {
+    let data = json;
+    if (typeof json === 'string') {
+        try {
+            data = JSON.parse(json);
+        } catch (e) {
+            throw new Error(`loadScene: Invalid JSON (${e.message})`);
+        }
+    }
+    validateSceneData(data);
+    if (!owningComponent || typeof owningComponent.updateBlockVisuals !== 'function') {
+        throw new Error("loadScene: owningComponent is invalid or does not implement updateBlockVisuals(blockId, blockData).");
+    }
+
+    const blocks = data.blocks.map(blockData => createBlock(blockData));
+    const blocksById = new Map();
+    const indexBlock = block => {
+        blocksById.set(block.id, block);
+        if (block instanceof BlockGroup) {
+            block.children.forEach(indexBlock);
+        }
+    };
+    blocks.forEach(indexBlock);
+    paperfoldScene.removeOwnedBy(owningComponent);
+    if (typeof owningComponent.setBlocks === 'function') {
+        owningComponent.setBlocks(blocks);
+    }
+    if (data.gravity) {
+        paperfoldScene.setGravity(data.gravity.x, data.gravity.y);
+    }
+    if (data.timeScale !== undefined) {
+        paperfoldScene.setTimeScale(data.timeScale);
+    }
+
+    data.animations.forEach(animation => {
+        const block = blocksById.get(animation.blockId);
+        const velocity = animation.velocity;
+        moveBlock(
+            block,
+            Math.atan2(velocity.y, velocity.x) * 180 / Math.PI,
+            Math.hypot(velocity.x, velocity.y),
+            owningComponent,
+            animation.boundary,
+            animation.collision,
+            animation.duration,
+            animation.collisionBlockIds.map(id => blocksById.get(id)),
+            {
+                bounds: animation.bounds || undefined,
+                acceleration: animation.acceleration,
+                gravityScale: animation.gravityScale,
+                drag: animation.drag,
+                maxSpeed: animation.maxSpeed,
+                sleepSpeed: animation.sleepSpeed,
+                sleepDelay: animation.sleepDelay
+            }
+        );
+        const entry = activeBlockAnimations.get(block.id);
+        entry.currentSpeedX = velocity.x; // Exact, rather than through the angle
+        entry.currentSpeedY = velocity.y;
+        entry.sleeping = !!animation.sleeping;
+    });
+    return blocks;
+}
+
+/**
+ * Checks parsed scene data against the format written by serializeScene.
+ * @param {object} data - The parsed scene.
+ * @throws {Error} Naming the first invalid field.
+ */
+function validateSceneData(data) {
+    const fail = (path, problem) => {
+        throw new Error(`loadScene: ${path} ${problem}`);
+    };
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const checkNumber = (value, path, optional) => {
+        if (optional && value === undefined) return;
+        if (typeof value !== 'number' || !isFinite(value)) fail(path, 'must be a finite number');
+    };
+    const checkVector = (value, path, optional) => {
+        if (optional && value === undefined) return;
+        if (!isObject(value)) fail(path, 'must be an object with x and y');
+        checkNumber(value.x, `${path}.x`);
+        checkNumber(value.y, `${path}.y`);
+    };
+
+    if (!isObject(data)) fail('scene', 'must be an object');
+    if (data.version !== SCENE_FORMAT_VERSION) {
+        fail('version', `${JSON.stringify(data.version)} is not supported (expected ${SCENE_FORMAT_VERSION})`);
+    }
+    checkVector(data.gravity, 'gravity', true);
+    checkNumber(data.timeScale, 'timeScale', true);
+    if (!Array.isArray(data.blocks)) fail('blocks', 'must be an array');
+    if (!Array.isArray(data.animations)) fail('animations', 'must be an array');
+
+    const blockIds = new Set();
+    const childIds = new Set();
+    const checkBlock = (block, path, isChild) => {
+        if (!isObject(block)) fail(path, 'must be an object');
+        Object.keys(SERIALIZED_BLOCK_PROPS).forEach(prop => {
+            const type = SERIALIZED_BLOCK_PROPS[prop];
+            if (block[prop] === undefined || block[prop] === null) return;
+            if (type === 'number') {
+                checkNumber(block[prop], `${path}.${prop}`);
+            } else if (typeof block[prop] !== type) {
+                fail(`${path}.${prop}`, `must be ${type === 'object' ? 'an' : 'a'} ${type}`);
+            }
+        });
+        checkNumber(block.mass, `${path}.mass`, true);
+        if (block.points !== undefined) {
+            if (!Array.isArray(block.points)) fail(`${path}.points`, 'must be an array');
+            block.points.forEach((point, pointIndex) => checkVector(point, `${path}.points[${pointIndex}]`));
+        }
+        if (!block.id) fail(`${path}.id`, 'is required');
+        if (blockIds.has(block.id)) fail(`${path}.id`, `'${block.id}' is used by more than one block`);
+        if (block.shape !== undefined && block.shape !== 'group' && !BLOCK_SHAPES.includes(block.shape)) {
+            fail(`${path}.shape`, `'${block.shape}' is not a known shape`);
+        }
+        blockIds.add(block.id);
+        if (isChild) {
+            childIds.add(block.id);
+        }
+        if (block.children !== undefined) {
+            if (block.shape !== 'group') fail(`${path}.children`, "is only allowed for the shape 'group'");
+            if (!Array.isArray(block.children)) fail(`${path}.children`, 'must be an array');
+            block.children.forEach((child, childIndex) => checkBlock(child, `${path}.children[${childIndex}]`, true));
+        }
+    };
+    data.blocks.forEach((block, index) => checkBlock(block, `blocks[${index}]`));
+
+    const animatedIds = new Set();
+    data.animations.forEach((animation, index) => {
+        const path = `animations[${index}]`;
+        if (!isObject(animation)) fail(path, 'must be an object');
+        if (!blockIds.has(animation.blockId)) fail(`${path}.blockId`, `'${animation.blockId}' is not one of the blocks`);
+        if (childIds.has(animation.blockId)) fail(`${path}.blockId`, `'${animation.blockId}' is inside a group, which moves as a whole`);
+        if (animatedIds.has(animation.blockId)) fail(`${path}.blockId`, `'${animation.blockId}' has more than one animation`);
+        animatedIds.add(animation.blockId);
+        checkVector(animation.velocity, `${path}.velocity`);
+
+        const boundary = animation.boundary;
+        if (isObject(boundary)) {
+            Object.keys(boundary).forEach(edge => {
+                if (!BOUNDARY_EDGES.includes(edge)) fail(`${path}.boundary.${edge}`, 'is not an edge');
+                if (!BOUNDARY_MODES.includes(boundary[edge])) fail(`${path}.boundary.${edge}`, `'${boundary[edge]}' is not a boundary mode`);
+            });
+        } else if (!BOUNDARY_MODES.includes(boundary)) {
+            fail(`${path}.boundary`, `'${boundary}' is not a boundary mode`);
+        }
+        if (!['stop', 'bounce', 'pass'].includes(animation.collision)) {
+            fail(`${path}.collision`, `'${animation.collision}' is not a collision mode`);
+        }
+        checkNumber(animation.duration, `${path}.duration`);
+        if (animation.duration < 0) fail(`${path}.duration`, 'must not be negative');
+        if (animation.bounds !== null && animation.bounds !== undefined) {
+            if (!isObject(animation.bounds)) fail(`${path}.bounds`, 'must be an object or null');
+            ['minX', 'minY', 'maxX', 'maxY'].forEach(key => checkNumber(animation.bounds[key], `${path}.bounds.${key}`));
+        }
+        if (!Array.isArray(animation.collisionBlockIds)) fail(`${path}.collisionBlockIds`, 'must be an array');
+        animation.collisionBlockIds.forEach((id, idIndex) => {
+            if (!blockIds.has(id)) fail(`${path}.collisionBlockIds[${idIndex}]`, `'${id}' is not one of the blocks`);
+        });
+        checkVector(animation.acceleration, `${path}.acceleration`, true);
+        ['gravityScale', 'drag', 'maxSpeed', 'sleepSpeed', 'sleepDelay'].forEach(key => {
+            checkNumber(animation[key], `${path}.${key}`, true);
+        });
+        if (animation.sleeping !== undefined && typeof animation.sleeping !== 'boolean') {
+            fail(`${path}.sleeping`, 'must be a boolean');
+        }
+    });
+}
+
+// --- Tweening ---
+
+function cubicBezierEasing(x1, y1, x2, y2) {
+    const sampleCurve = (a1, a2, t) => ((1 - 3 * a2 + 3 * a1) * t + (3 * a2 - 6 * a1)) * t * t + 3 * a1 * t;
+    const sampleSlope = (a1, a2, t) => 3 * (1 - 3 * a2 + 3 * a1) * t * t + 2 * (3 * a2 - 6 * a1) * t + 3 * a1;
+    return progress => {
+        if (progress <= 0 || progress >= 1) return progress <= 0 ? 0 : 1;
+        // Find the curve parameter for this x: Newton's method, falling back to bisection
+        let t = progress;
+        for (let i = 0; i < 8; i++) {
+            const error = sampleCurve(x1, x2, t) - progress;
+            const slope = sampleSlope(x1, x2, t);
+            if (Math.abs(error) < 1e-6) return sampleCurve(y1, y2, t);
+            if (Math.abs(slope) < 1e-6) break;
+            t -= error / slope;
+        }
+        let low = 0;
+        let high = 1;
+        t = progress;
+        for (let i = 0; i < 30; i++) {
+            const x = sampleCurve(x1, x2, t);
+            if (Math.abs(x - progress) < 1e-6) break;
+            if (x < progress) low = t; else high = t;
+            t = (low + high) / 2;
+        }
+        return sampleCurve(y1, y2, t);
+    };
+}
+
+function bounceOut(t) {
+    if (t < 1 / 2.75) return 7.5625 * t * t;
+    if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+    if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+    return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+}
+
+const ELASTIC_PERIOD = (2 * Math.PI) / 3;
+const BACK_OVERSHOOT = 1.70158;
+
+/**
+ * Easing curves for animateBlock. Each maps linear progress (0-1) to eased progress.
+ * `steps(count, position)` and `cubicBezier(x1, y1, x2, y2)` create curves; the CSS keywords
+ * 'ease', 'easeIn', 'easeOut' and 'easeInOut' are cubic Béziers too.
+ */
+const Easing = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeInQuart: t => t * t * t * t,
+    easeOutQuart: t => 1 - Math.pow(1 - t, 4),
+    easeInOutQuart: t => t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2,
+    easeInSine: t => 1 - Math.cos(t * Math.PI / 2),
+    easeOutSine: t => Math.sin(t * Math.PI / 2),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeInExpo: t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+    easeOutExpo: t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+    easeInOutExpo: t => t === 0 || t === 1 ? t : t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2,
+    easeInBack: t => (BACK_OVERSHOOT + 1) * t * t * t - BACK_OVERSHOOT * t * t,
+    easeOutBack: t => 1 + (BACK_OVERSHOOT + 1) * Math.pow(t - 1, 3) + BACK_OVERSHOOT * Math.pow(t - 1, 2),
+    easeInOutBack: t => {
+        const c = BACK_OVERSHOOT * 1.525;
+        return t < 0.5
+            ? (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2
+            : (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2;
+    },
+    easeInElastic: t => t === 0 || t === 1 ? t : -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ELASTIC_PERIOD),
+    easeOutElastic: t => t === 0 || t === 1 ? t : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ELASTIC_PERIOD) + 1,
+    easeInOutElastic: t => {
+        if (t === 0 || t === 1) return t;
+        const wave = Math.sin((20 * t - 11.125) * (2 * Math.PI) / 4.5);
+        return t < 0.5 ? -(Math.pow(2, 20 * t - 10) * wave) / 2 : (Math.pow(2, -20 * t + 10) * wave) / 2 + 1;
+    },
+    easeInBounce: t => 1 - bounceOut(1 - t),
+    easeOutBounce: bounceOut,
+    easeInOutBounce: t => t < 0.5 ? (1 - bounceOut(1 - 2 * t)) / 2 : (1 + bounceOut(2 * t - 1)) / 2,
+    ease: cubicBezierEasing(0.25, 0.1, 0.25, 1),
+    easeIn: cubicBezierEasing(0.42, 0, 1, 1),
+    easeOut: cubicBezierEasing(0, 0, 0.58, 1),
+    easeInOut: cubicBezierEasing(0.42, 0, 0.58, 1),
+    /**
+     * @param {number} count - Number of equal jumps.
+     * @param {string} [position='end'] - 'start' to jump at the beginning of each interval, 'end' at its end.
+     */
+    steps: (count, position = 'end') => t => {
+        const step = position === 'start' ? Math.ceil(t * count) : Math.floor(t * count);
+        return Math.max(0, Math.min(1, step / count));
+    },
+    cubicBezier: cubicBezierEasing
+};
+
+/**
+ * Looks up an easing curve by name, or passes a function through.
+ * @param {string|function} easing - A key of Easing or a function mapping 0-1 to 0-1.
+ * @returns {function|null} The curve, or null if the name is unknown.
+ */
+function resolveEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    if (easing === undefined) return Easing.linear;
+    const curve = Easing[easing];
+    return typeof curve === 'function' && easing !== 'steps' && easing !== 'cubicBezier' ? curve : null;
+}
+
+const NON_NEGATIVE_PROPS = ['size', 'borderWidth', 'opaque', 'density', 'mass', 'cornerRadius', 'lineWidth', 'fontSize'];
+
+/**
+ * Interpolates numeric properties of a block over time. Created by animateBlock, which runs it
+ * on the scene; the handle can be awaited and resolves to true once the tween completes or
+ * false if it is cancelled first.
+ */
+class Tween {
+    /**
+     * @param {Block} block - The block to animate.
+     * @param {object} targetProps - Final values keyed by block property name.
+     * @param {object} [options]
+     * @param {number} [options.duration=400] - Milliseconds from start to end values.
+     * @param {string|function} [options.easing='linear'] - A key of Easing or a curve function.
+     * @param {number} [options.delay=0] - Milliseconds to wait before starting.
+     * @param {Component} [options.owningComponent] - The component whose DOM element is updated.
+     */
+    constructor(block, targetProps, options = {}) {
+        this.block = block;
+        this.targets = { ...targetProps };
+        this.duration = options.duration === undefined ? 400 : Math.max(0, options.duration);
+        this.delay = options.delay || 0;
+        this.easing = resolveEasing(options.easing) || Easing.linear;
+        this.owningComponent = options.owningComponent || null;
+        this.time = 0;
+        this.finished = false;
+        this._startValues = null;
+        this.promise = new Promise(resolve => {
+            this._resolve = resolve;
+        });
+    }
+
+    /**
+     * Moves the tween to a point in its own time line and applies the values for it.
+     * @param {number} time - Milliseconds since the tween was started, including the delay.
+     */
+    seek(time) {
+        this.time = time;
+        const localTime = time - this.delay;
+        if (localTime < 0 && !this._startValues) return; // Not started yet
+
+        if (!this._startValues) {
+            this._startValues = {};
+            Object.keys(this.targets).forEach(prop => {
+                this._startValues[prop] = this.block[prop];
+            });
+        }
+
+        const progress = this.duration > 0 ? Math.max(0, Math.min(1, localTime / this.duration)) : (localTime < 0 ? 0 : 1);
+        const eased = this.easing(progress);
+        Object.keys(this.targets).forEach(prop => {
+            const from = this._startValues[prop];
+            let value = from + (this.targets[prop] - from) * eased;
+            if (NON_NEGATIVE_PROPS.includes(prop)) {
+                value = Math.max(0, prop === 'opaque' ? Math.min(100, value) : value);
+            }
+            this.block[prop] = value;
+        });
+
+        if (progress >= 1) {
+            this._complete(true);
+        }
+    }
+
+    step(dt) {
+        this.seek(this.time + dt * 1000);
+        if (this._startValues) {
+            paperfoldScene.updateBlockIndex(this.block);
+        }
+        return !this.finished;
+    }
+
+    render() {
+        if (this.owningComponent && typeof this.owningComponent.updateBlockStyle === 'function') {
+            this.owningComponent.updateBlockStyle(this.block.id, this.block);
+        }
+    }
+
+    /**
+     * Stops the tween where it is. The block keeps its current values.
+     */
+    cancel() {
+        paperfoldScene.removeTask(this);
+        this._complete(false);
+    }
+
+    /**
+     * Drops properties from this tween, e.g. because a newer tween took them over.
+     * Cancels the tween once it has nothing left to animate.
+     * @param {Array<string>} props - The property names to drop.
+     */
+    release(props) {
+        props.forEach(prop => delete this.targets[prop]);
+        if (Object.keys(this.targets).length === 0) {
+            this.cancel();
+        }
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.promise.then(onFulfilled, onRejected);
+    }
+
+    _complete(completed) {
+        if (this.finished) return;
+        this.finished = true;
+        this.render();
+        this._resolve(completed);
+    }
+}
+
+/**
+ * Animates numeric properties of a block (e.g. size, scale_x, scale_y, opaque, borderWidth, x, y, rotation)
+ * from their current values to the given ones, on the scene's loop. The block's DOM element is
+ * updated in place through its component's block element map instead of re-rendering.
+ * A newer tween of the same property on the same block takes over from an older one.
+ *
+ * @param {Block} blockObject - The Block object to animate.
+ * @param {object} targetProps - Final values keyed by property name.
+ * @param {object} [options] - See Tween. `owningComponent` is found with getOwningComponent when omitted.
+ * @returns {Tween|null} A handle with `cancel()` that can be awaited, or null for invalid input
+ * or a block no component draws.
+ */
+function animateBlock(blockObject, targetProps, options = {}) {
+    if (!(blockObject instanceof Block)) {
+        console.error("animateBlock: Invalid blockObject provided. Must be an instance of Block.");
+        return null;
+    }
+    if (options.easing !== undefined && !resolveEasing(options.easing)) {
+        console.error(`animateBlock: Unknown easing '${options.easing}'.`);
+        return null;
+    }
+    const targets = {};
+    Object.keys(targetProps || {}).forEach(prop => {
+        if (typeof targetProps[prop] !== 'number' || typeof blockObject[prop] !== 'number') {
+            console.error(`animateBlock: '${prop}' is not a numeric property of the block.`);
+            return;
+        }
+        targets[prop] = targetProps[prop];
+    });
+    const props = Object.keys(targets);
+    if (props.length === 0) {
+        console.error("animateBlock: No numeric properties to animate.");
+        return null;
+    }
+    const owningComponent = getOwningComponent(blockObject, options.owningComponent);
+    if (!owningComponent) {
+        console.error(`animateBlock: No component draws block '${blockObject.id}'; pass options.owningComponent.`);
+        return null;
+    }
+
+    const tween = new Tween(blockObject, targets, { ...options, owningComponent: owningComponent });
+
+    paperfoldScene.tasks.forEach(task => {
+        if (task instanceof Tween && task.block === blockObject) {
+            task.release(props);
+        }
+    });
+    paperfoldScene.addTask(tween);
+    return tween;
+}
+
+// --- Timeline ---
+
+/**
+ * A straight, constant-speed movement of a block over a fixed duration, positioned purely from
+ * time so that timelines can seek and reverse it. Unlike moveBlock it ignores boundaries and collisions.
+ */
+class MovementTrack {
+    /**
+     * @param {Block} block - The block to move.
+     * @param {number} angle - The direction of movement in degrees (0-360).
+     * @param {number} pps - Pixels per second to move.
+     * @param {object} options
+     * @param {number} options.duration - Length of the movement in milliseconds.
+     * @param {Component} [options.owningComponent] - The component whose DOM element is updated.
+     */
+    constructor(block, angle, pps, options = {}) {
+        this.block = block;
+        this.speedX = Math.cos(angle * Math.PI / 180) * pps;
+        this.speedY = Math.sin(angle * Math.PI / 180) * pps;
+        this.duration = Math.max(0, options.duration || 0);
+        this.delay = 0;
+        this.owningComponent = options.owningComponent || null;
+        this._from = null;
+    }
+
+    seek(time) {
+        if (time < 0 && !this._from) return; // Not started yet
+        if (!this._from) {
+            this._from = { x: this.block.x, y: this.block.y };
+        }
+        const seconds = Math.max(0, Math.min(this.duration, time)) / 1000;
+        this.block.x = this._from.x + this.speedX * seconds;
+        this.block.y = this._from.y + this.speedY * seconds;
+    }
+
+    render() {
+        if (this.owningComponent) {
+            this.owningComponent.updateBlockVisuals(this.block.id, this.block);
+        }
+    }
+}
+
+/**
+ * Schedules tweens, movements, callbacks and nested timelines at absolute or relative offsets and
+ * plays them back on the scene's loop, with pause, seek, reverse, repeat, yoyo and its own time scale.
+ *
+ * Positions passed to `add`, `to`, `move` and `call` can be a number of milliseconds from the start,
+ * '+=N' or '-=N' relative to the current end, '<' for the start of the previously added item or '>'
+ * (the default) for its end. Use Timeline.sequence and Timeline.parallel to build groups.
+ */
+class Timeline {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.repeat=0] - Extra iterations after the first; -1 repeats forever.
+     * @param {boolean} [options.yoyo=false] - Play every other iteration backwards.
+     * @param {number} [options.timeScale=1] - Playback speed of this timeline.
+     * @param {Component} [options.owningComponent] - Default component for `to` and `move`.
+     * @param {function} [options.onComplete] - Called when playback reaches the end (or the start, when reversed).
+     */
+    constructor(options = {}) {
+        this.repeat = options.repeat || 0;
+        this.yoyo = !!options.yoyo;
+        this.timeScale = options.timeScale === undefined ? 1 : options.timeScale;
+        this.owningComponent = options.owningComponent || null;
+        this.onComplete = options.onComplete || null;
+        this.items = [];
+        this.time = 0;
+        this.direction = 1;
+        this.paused = true;
+        this._lastItem = null;
+        this._lastIteration = 0;
+        this._lastLocal = -1;
+    }
+
+    /**
+     * Builds a timeline that plays the given items one after another.
+     * @param {Array<object>} items - Tweens, movement tracks or timelines.
+     * @param {object} [options] - Timeline options.
+     * @returns {Timeline}
+     */
+    static sequence(items, options) {
+        const timeline = new Timeline(options);
+        items.forEach(item => timeline.add(item));
+        return timeline;
+    }
+
+    /**
+     * Builds a timeline that plays the given items at the same time.
+     * @param {Array<object>} items - Tweens, movement tracks or timelines.
+     * @param {object} [options] - Timeline options.
+     * @returns {Timeline}
+     */
+    static parallel(items, options) {
+        const timeline = new Timeline(options);
+        items.forEach(item => timeline.add(item, 0));
+        return timeline;
+    }
+
+    /**
+     * Length of one iteration in milliseconds.
+     */
+    get duration() {
+        return this.items.reduce((end, entry) => Math.max(end, entry.start + timelineItemDuration(entry.item)), 0);
+    }
+
+    /**
+     * Length of all iterations in milliseconds (Infinity when repeating forever).
+     */
+    get totalDuration() {
+        return this.repeat < 0 ? Infinity : this.duration * (this.repeat + 1);
+    }
+
+    /**
+     * Schedules a tween, movement track, nested timeline or any object with `duration` and `seek(time)`.
+     * @param {object} item - The item to schedule.
+     * @param {number|string} [position] - Where to place it (see the class description).
+     * @returns {Timeline} This timeline, for chaining.
+     */
+    add(item, position) {
+        this.items.push({ start: this._resolvePosition(position), item: item });
+        this.items.sort((a, b) => a.start - b.start);
+        this._lastItem = this.items.find(entry => entry.item === item);
+        return this;
+    }
+
+    /**
+     * Schedules a tween of a block's numeric properties (see animateBlock).
+     * @returns {Timeline} This timeline, for chaining.
+     */
+    to(block, targetProps, options = {}, position) {
+        return this.add(new Tween(block, targetProps, {
+            ...options,
+            owningComponent: getOwningComponent(block, options.owningComponent || this.owningComponent)
+        }), position);
+    }
+
+    /**
+     * Schedules a straight movement of a block (see MovementTrack).
+     * @returns {Timeline} This timeline, for chaining.
+     */
+    move(block, angle, pps, options = {}, position) {
+        return this.add(new MovementTrack(block, angle, pps, {
+            ...options,
+            owningComponent: getOwningComponent(block, options.owningComponent || this.owningComponent)
+        }), position);
+    }
+
+    /**
+     * Schedules a callback, fired whenever playback passes its position in either direction.
+     * This is also how free-running moveBlock animations are started from a timeline.
+     * @param {function} callback - The function to call.
+     * @param {number|string} [position] - Where to place it.
+     * @returns {Timeline} This timeline, for chaining.
+     */
+    call(callback, position) {
+        return this.add({ duration: 0, callback: callback, seek() {} }, position);
+    }
+
+    /**
+     * Starts or resumes playback in the current direction.
+     * @returns {Timeline} This timeline, for chaining.
+     */
+    play() {
+        if (this.direction > 0 && this.time >= this.totalDuration) {
+            this._jumpTo(0);
+        } else if (this.direction < 0 && this.time <= 0) {
+            this._jumpTo(this.totalDuration);
+        }
+        this.paused = false;
+        paperfoldScene.addTask(this);
+        return this;
+    }
+
+    /**
+     * Pauses playback, leaving every block where it is.
+     * @returns {Timeline} This timeline, for chaining.
+     */
+    pause() {
+        this.paused = true;
+        paperfoldScene.removeTask(this);
+        return this;
+    }
+
+    /**
+     * Flips the playback direction and keeps playing.
+     * @returns {Timeline} This timeline, for chaining.
+     */
+    reverse() {
+        this.direction *= -1;
+        return this.play();
+    }
+
+    /**
+     * Moves the playhead and applies the state of every item at that time. Callbacks are skipped
+     * unless `fireCalls` is set.
+     * @param {number} time - Milliseconds from the start, across all iterations.
+     * @param {boolean} [fireCalls=false] - Whether to fire callbacks passed on the way.
+     * @returns {Timeline} This timeline, for chaining.
+     */
+    seek(time, fireCalls = false) {
+        this.time = Math.max(0, Math.min(this.totalDuration, time));
+        if (time < 0 && fireCalls === false && this._lastLocal < 0) {
+            return this; // Still before the start: nothing to rewind or fire
+        }
+        const { iteration, local } = this._localTime(this.time);
+
+        if (fireCalls) {
+            if (iteration === this._lastIteration) {
+                this._fireCalls(this._lastLocal, local);
+            } else {
+                const forward = iteration > this._lastIteration;
+                const lastBackwards = this._isBackwards(this._lastIteration);
+                const nextBackwards = this._isBackwards(iteration);
+                this._fireCalls(this._lastLocal, forward !== lastBackwards ? this.duration + 1 : -1);
+                this._fireCalls(forward !== nextBackwards ? -1 : this.duration + 1, local);
+            }
+        }
+        this._lastIteration = iteration;
+        this._lastLocal = time < 0 ? -1 : local; // A nested timeline that hasn't started can still fire its first call
+
+        // Rewind items that haven't started yet (latest first), then apply the rest in order
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            const entry = this.items[i];
+            if (local < entry.start) {
+                entry.item.seek(local - entry.start, false);
+            }
+        }
+        this.items.forEach(entry => {
+            if (local >= entry.start) {
+                entry.item.seek(local - entry.start, fireCalls);
+            }
+        });
+        if (!fireCalls) {
+            this.render();
+        }
+        return this;
+    }
+
+    step(dt) {
+        const end = this.totalDuration;
+        const time = this.time + dt * 1000 * this.timeScale * this.direction;
+        this.seek(time, true);
+        const finished = this.direction > 0 ? time >= end : time <= 0;
+        if (finished) {
+            this.paused = true;
+            this.render();
+            if (typeof this.onComplete === 'function') {
+                this.onComplete(this);
+            }
+            return false;
+        }
+        return true;
+    }
+
+    render() {
+        this.items.forEach(entry => {
+            if (typeof entry.item.render === 'function') {
+                entry.item.render();
+            }
+        });
+    }
+
+    _jumpTo(time) {
+        const { iteration, local } = this._localTime(time);
+        this._lastIteration = iteration;
+        this._lastLocal = local;
+        this.seek(time);
+    }
+
+    _isBackwards(iteration) {
+        return this.yoyo && iteration % 2 === 1;
+    }
+
+    _localTime(time) {
+        const duration = this.duration;
+        if (duration <= 0) {
+            return { iteration: 0, local: 0 };
+        }
+        let iteration = Math.floor(time / duration);
+        let local = time - iteration * duration;
+        if (this.repeat >= 0 && iteration > this.repeat) {
+            iteration = this.repeat;
+            local = duration;
+        }
+        if (this._isBackwards(iteration)) {
+            local = duration - local;
+        }
+        return { iteration: iteration, local: local };
+    }
+
+    _fireCalls(from, to) {
+        if (from === to) return;
+        const forward = to > from;
+        const calls = this.items.filter(entry => typeof entry.item.callback === 'function' &&
+            (forward ? entry.start > from && entry.start <= to : entry.start < from && entry.start >= to));
+        if (!forward) {
+            calls.reverse();
+        }
+        calls.forEach(entry => entry.item.callback(this));
+    }
+
+    _resolvePosition(position) {
+        const end = this.duration;
+        const last = this._lastItem;
+        if (typeof position === 'number') return Math.max(0, position);
+        if (position === '<') return last ? last.start : 0;
+        if (position === undefined || position === '>') {
+            return last ? last.start + timelineItemDuration(last.item) : end;
+        }
+        const relative = /^([+-])=(\d+(?:\.\d+)?)$/.exec(position);
+        if (relative) {
+            const offset = parseFloat(relative[2]);
+            return Math.max(0, relative[1] === '+' ? end + offset : end - offset);
+        }
+        console.error(`Timeline: Invalid position '${position}', adding at the end.`);
+        return end;
+    }
+}
+
+/**
+ * Total length of a timeline item in milliseconds, including any delay.
+ */
+function timelineItemDuration(item) {
+    if (item instanceof Timeline) return item.totalDuration;
+    return (item.delay || 0) + (item.duration || 0);
+}
+
+// --- Path Following ---
+
+const SVG_PATH_TOKENS = /[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g;
+const SVG_PATH_ARITY = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+function lineSegment(x1, y1, x2, y2) {
+    return t => ({ x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t });
+}
+
+function quadraticSegment(x1, y1, cx, cy, x2, y2) {
+    return t => {
+        const u = 1 - t;
+        return { x: u * u * x1 + 2 * u * t * cx + t * t * x2, y: u * u * y1 + 2 * u * t * cy + t * t * y2 };
+    };
+}
+
+function cubicSegment(x1, y1, c1x, c1y, c2x, c2y, x2, y2) {
+    return t => {
+        const u = 1 - t;
+        return {
+            x: u * u * u * x1 + 3 * u * u * t * c1x + 3 * u * t * t * c2x + t * t * t * x2,
+            y: u * u * u * y1 + 3 * u * u * t * c1y + 3 * u * t * t * c2y + t * t * t * y2
+        };
+    };
+}
+
+/**
+ * An SVG elliptical arc, converted from endpoint to center parameterization (SVG 1.1, F.6.5).
+ */
+function arcSegment(x1, y1, rx, ry, rotationDeg, largeArc, sweep, x2, y2) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return lineSegment(x1, y1, x2, y2);
+
+    const phi = rotationDeg * Math.PI / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    const halfDx = (x1 - x2) / 2;
+    const halfDy = (y1 - y2) / 2;
+    const x1p = cosPhi * halfDx + sinPhi * halfDy;
+    const y1p = -sinPhi * halfDx + cosPhi * halfDy;
+
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coefficient = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = coefficient * rx * y1p / ry;
+    const cyp = -coefficient * ry * x1p / rx;
+    const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+    const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+    const angleBetween = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const startAngle = angleBetween(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let sweepAngle = angleBetween((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && sweepAngle > 0) sweepAngle -= 2 * Math.PI;
+    if (sweep && sweepAngle < 0) sweepAngle += 2 * Math.PI;
+
+    return t => {
+        const theta = startAngle + sweepAngle * t;
+        return {
+            x: cosPhi * rx * Math.cos(theta) - sinPhi * ry * Math.sin(theta) + cx,
+            y: sinPhi * rx * Math.cos(theta) + cosPhi * ry * Math.sin(theta) + cy
+        };
+    };
+}
+
+/**
+ * Parses the `d` attribute of an SVG path into segment functions mapping 0-1 to a point.
+ * Subpaths started by a later 'M' are joined to the previous one with a straight line.
+ * @param {string} d - The path data.
+ * @returns {Array<function>} The segments.
+ */
+function parseSvgPath(d) {
+    const unexpected = d.replace(SVG_PATH_TOKENS, '').replace(/[\s,]+/g, '');
+    if (unexpected) {
+        throw new Error(`parseSvgPath: Unexpected characters '${unexpected}' in path data.`);
+    }
+    const tokens = d.match(SVG_PATH_TOKENS) || [];
+    const segments = [];
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let lastControlX = null, lastControlY = null, lastCommand = '';
+    let command = null;
+    let i = 0;
+
+    while (i < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[i])) {
+            command = tokens[i++];
+        } else if (command === null) {
+            throw new Error(`parseSvgPath: Path data must start with a command, found '${tokens[i]}'.`);
+        }
+        const upper = command.toUpperCase();
+        const relative = command !== upper;
+        const arity = SVG_PATH_ARITY[upper];
+        if (arity === undefined) {
+            throw new Error(`parseSvgPath: Unsupported command '${command}'.`);
+        }
+        const args = tokens.slice(i, i + arity).map(Number);
+        if (args.length < arity || args.some(isNaN)) {
+            throw new Error(`parseSvgPath: Command '${command}' needs ${arity} numbers.`);
+        }
+        i += arity;
+        const ox = relative ? x : 0;
+        const oy = relative ? y : 0;
+        let controlX = null, controlY = null;
+
+        switch (upper) {
+        case 'M':
+            if (segments.length > 0 || x !== 0 || y !== 0) {
+                segments.push(lineSegment(x, y, args[0] + ox, args[1] + oy));
+            }
+            x = startX = args[0] + ox;
+            y = startY = args[1] + oy;
+            command = relative ? 'l' : 'L'; // Extra coordinate pairs after a move are lines
+            break;
+        case 'L':
+            segments.push(lineSegment(x, y, args[0] + ox, args[1] + oy));
+            x = args[0] + ox; y = args[1] + oy;
+            break;
+        case 'H':
+            segments.push(lineSegment(x, y, args[0] + ox, y));
+            x = args[0] + ox;
+            break;
+        case 'V':
+            segments.push(lineSegment(x, y, x, args[0] + oy));
+            y = args[0] + oy;
+            break;
+        case 'C':
+            segments.push(cubicSegment(x, y, args[0] + ox, args[1] + oy, args[2] + ox, args[3] + oy, args[4] + ox, args[5] + oy));
+            controlX = args[2] + ox; controlY = args[3] + oy;
+            x = args[4] + ox; y = args[5] + oy;
+            break;
+        case 'S': {
+            const reflect = lastCommand === 'C' || lastCommand === 'S';
+            const c1x = reflect ? 2 * x - lastControlX : x;
+            const c1y = reflect ? 2 * y - lastControlY : y;
+            segments.push(cubicSegment(x, y, c1x, c1y, args[0] + ox, args[1] + oy, args[2] + ox, args[3] + oy));
+            controlX = args[0] + ox; controlY = args[1] + oy;
+            x = args[2] + ox; y = args[3] + oy;
+            break;
+        }
+        case 'Q':
+            segments.push(quadraticSegment(x, y, args[0] + ox, args[1] + oy, args[2] + ox, args[3] + oy));
+            controlX = args[0] + ox; controlY = args[1] + oy;
+            x = args[2] + ox; y = args[3] + oy;
+            break;
+        case 'T': {
+            const reflect = lastCommand === 'Q' || lastCommand === 'T';
+            controlX = reflect ? 2 * x - lastControlX : x;
+            controlY = reflect ? 2 * y - lastControlY : y;
+            segments.push(quadraticSegment(x, y, controlX, controlY, args[0] + ox, args[1] + oy));
+            x = args[0] + ox; y = args[1] + oy;
+            break;
+        }
+        case 'A':
+            segments.push(arcSegment(x, y, args[0], args[1], args[2], !!args[3], !!args[4], args[5] + ox, args[6] + oy));
+            x = args[5] + ox; y = args[6] + oy;
+            break;
+        case 'Z':
+            segments.push(lineSegment(x, y, startX, startY));
+            x = startX; y = startY;
+            break;
+        }
+        lastCommand = upper;
+        lastControlX = controlX;
+        lastControlY = controlY;
+    }
+    return segments;
+}
+
+/**
+ * A path made of line, Bézier and arc segments, sampled into a table of cumulative lengths
+ * so that positions can be looked up by distance travelled (arc-length parameterization).
+ */
+class Path {
+    /**
+     * @param {string|Array<{x: number, y: number}>} definition - SVG path data, or the points of a polyline.
+     */
+    constructor(definition) {
+        let segments;
+        if (typeof definition === 'string') {
+            segments = parseSvgPath(definition);
+        } else if (Array.isArray(definition) && definition.length >= 2) {
+            segments = [];
+            for (let i = 1; i < definition.length; i++) {
+                segments.push(lineSegment(definition[i - 1].x, definition[i - 1].y, definition[i].x, definition[i].y));
+            }
+        } else {
+            throw new Error("Path: Expected SVG path data or an array of at least two points.");
+        }
+        if (segments.length === 0) {
+            throw new Error("Path: The path has no segments.");
+        }
+
+        this.samples = [];
+        let distance = 0;
+        segments.forEach(segment => {
+            // Sample densely enough that chords stay close to the curve
+            let rough = 0;
+            let previous = segment(0);
+            for (let i = 1; i <= 8; i++) {
+                const point = segment(i / 8);
+                rough += Math.hypot(point.x - previous.x, point.y - previous.y);
+                previous = point;
+            }
+            const count = Math.max(1, Math.min(200, Math.ceil(rough / 4)));
+            for (let i = this.samples.length === 0 ? 0 : 1; i <= count; i++) {
+                const point = segment(i / count);
+                const last = this.samples[this.samples.length - 1];
+                if (last) {
+                    distance += Math.hypot(point.x - last.x, point.y - last.y);
+                }
+                this.samples.push({ x: point.x, y: point.y, distance: distance });
+            }
+        });
+        this.length = distance;
+    }
+
+    /**
+     * Looks up the point a given distance along the path.
+     * @param {number} distance - Distance from the start, clamped to the path.
+     * @returns {{x: number, y: number, angle: number}} The point and the direction of travel in degrees.
+     */
+    pointAt(distance) {
+        const samples = this.samples;
+        distance = Math.max(0, Math.min(this.length, distance));
+        let low = 0;
+        let high = samples.length - 1;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (samples[middle].distance < distance) low = middle; else high = middle;
+        }
+        const a = samples[low];
+        const b = samples[high];
+        const span = b.distance - a.distance;
+        const t = span > 0 ? (distance - a.distance) / span : 0;
+        return {
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            angle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI
+        };
+    }
+}
+
+/**
+ * Moves a block's center along a Path at constant speed on the scene's loop.
+ * Created by moveBlockAlongPath; the handle can be awaited and resolves to true when a 'once'
+ * run reaches the end, or false if it is cancelled first.
+ */
+class PathFollower {
+    constructor(block, path, options) {
+        this.block = block;
+        this.path = path;
+        this.mode = options.mode;
+        this.orient = !!options.orient;
+        this.rotationOffset = options.rotationOffset || 0;
+        this.owningComponent = options.owningComponent || null;
+        this.speed = options.duration > 0 ? path.length / (options.duration / 1000) : options.speed;
+        this.distance = 0;
+        this.direction = 1;
+        this.finished = false;
+        this.promise = new Promise(resolve => {
+            this._resolve = resolve;
+        });
+        this._place();
+    }
+
+    step(dt) {
+        const length = this.path.length;
+        this.distance += this.speed * dt * this.direction;
+        if (this.distance >= length || this.distance <= 0) {
+            if (this.mode === 'loop' && length > 0) {
+                this.distance = positiveModulo(this.distance, length);
+            } else if (this.mode === 'pingpong') {
+                this.distance = this.distance >= length ? 2 * length - this.distance : -this.distance;
+                this.direction *= -1;
+            } else {
+                this.distance = Math.max(0, Math.min(length, this.distance));
+                this._place();
+                this._complete(true);
+                return false;
+            }
+        }
+        this._place();
+        return true;
+    }
+
+    render() {
+        if (this.owningComponent) {
+            this.owningComponent.updateBlockVisuals(this.block.id, this.block);
+        }
+    }
+
+    /**
+     * Stops following the path, leaving the block where it is.
+     */
+    cancel() {
+        paperfoldScene.removeTask(this);
+        this._complete(false);
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.promise.then(onFulfilled, onRejected);
+    }
+
+    _place() {
+        const point = this.path.pointAt(this.distance);
+        this.block.centerOn(point.x, point.y);
+        if (this.orient) {
+            this.block.rotation = point.angle + (this.direction < 0 ? 180 : 0) + this.rotationOffset;
+        }
+        paperfoldScene.updateBlockIndex(this.block);
+    }
+
+    _complete(completed) {
+        if (this.finished) return;
+        this.finished = true;
+        this.render();
+        this._resolve(completed);
+    }
+}
+
+/**
+ * Moves a block's center along a path at constant speed, replacing any moveBlock movement or
+ * earlier path on the same block.
+ *
+ * @param {Block} blockObject - The Block object to move.
+ * @param {Path|string|Array<{x: number, y: number}>} path - A Path, SVG path data (M, L, H, V, C, S, Q, T, A, Z)
+ * or the points of a polyline.
+ * @param {object} [options]
+ * @param {number} [options.speed=100] - Pixels per second along the path.
+ * @param {number} [options.duration] - Milliseconds for one run of the path; overrides `speed`.
+ * @param {string} [options.mode='once'] - 'once' stops at the end, 'loop' restarts from the start,
+ * 'pingpong' turns around at either end.
+ * @param {boolean} [options.orient=false] - Rotate the block to face along the path.
+ * @param {number} [options.rotationOffset=0] - Degrees added to the rotation when orienting.
+ * @param {Component} [options.owningComponent] - The component whose DOM element is updated.
+ * Found with getOwningComponent when omitted.
+ * @returns {PathFollower|null} A handle with `cancel()` that can be awaited, or null for invalid input
+ * or a block no component draws.
+ */
+function moveBlockAlongPath(blockObject, path, options = {}) {
+    if (!(blockObject instanceof Block)) {
+        console.error("moveBlockAlongPath: Invalid blockObject provided. Must be an instance of Block.");
+        return null;
+    }
+    const mode = options.mode || 'once';
+    if (!['once', 'loop', 'pingpong'].includes(mode)) {
+        console.error(`moveBlockAlongPath: Invalid mode '${mode}'.`);
+        return null;
+    }
+    let resolvedPath = path;
+    if (!(path instanceof Path)) {
+        try {
+            resolvedPath = new Path(path);
+        } catch (e) {
+            console.error(e.message);
+            return null;
+        }
+    }
+
+    const owningComponent = getOwningComponent(blockObject, options.owningComponent);
+    if (!owningComponent) {
+        console.error(`moveBlockAlongPath: No component draws block '${blockObject.id}'; pass options.owningComponent.`);
+        return null;
+    }
+    stopMovingBlock(blockObject.id);
+    paperfoldScene.tasks.forEach(task => {
+        if (task instanceof PathFollower && task.block === blockObject) {
+            task.cancel();
+        }
+    });
+
+    const follower = new PathFollower(blockObject, resolvedPath, {
+        ...options,
+        mode: mode,
+        speed: typeof options.speed === 'number' ? options.speed : 100,
+        owningComponent: owningComponent
+    });
+    paperfoldScene.addTask(follower);
+    return follower;
+}
+
+// --- Particles ---
+
+/**
+ * Returns a number from a range option: a number is used as it is, [min, max] picks uniformly in between.
+ * @param {number|Array<number>} range - The option.
+ * @returns {number} The value.
+ */
+function randomInRange(range) {
+    if (!Array.isArray(range)) return range;
+    return range[0] + paperfoldRandom() * (range[1] - range[0]);
+}
+
+/**
+ * Sprays short-lived blocks, e.g. sparks, confetti or a trail behind a moving block.
+ * Particles are taken from a fixed pool of `maxParticles` blocks created up front, so the
+ * component renders them (and creates their elements) once; an unused particle is hidden with
+ * `opaque` 0 until it is emitted again. Particles fly in a straight line from the emitter,
+ * pulled by the scene's gravity and slowed by `drag`, and don't collide. The emitter runs on
+ * the scene's loop and stops when its owning component unmounts.
+ *
+ * Render the particles by adding the emitter to a DefaultAnimationComponent (`addEmitter`),
+ * or by passing `emitter.blocks` to the renderer along with a component's other blocks.
+ */
+class ParticleEmitter {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.id] - Prefix for the particles' ids. Generated when omitted.
+     * @param {number} [options.x=0] - Where particles start.
+     * @param {number} [options.y=0] - Where particles start.
+     * @param {Block} [options.source] - A block whose center particles start from instead, e.g. for a trail.
+     * @param {number} [options.rate=0] - Particles per second while running; 0 emits only bursts.
+     * @param {number} [options.burst=0] - Particles emitted at once by start().
+     * @param {number|Array<number>} [options.lifetime=1000] - Milliseconds a particle lives, or [min, max].
+     * @param {number|Array<number>} [options.angle=[0, 360]] - Direction in degrees (0 is right, 90 down), or [min, max].
+     * @param {number|Array<number>} [options.speed=[50, 150]] - Pixels per second, or [min, max].
+     * @param {number|Array<number>} [options.size=4] - Particle `size`, or [min, max].
+     * @param {Array<string>} [options.colors=['black']] - Colors picked from at random.
+     * @param {boolean} [options.fadeOut=true] - Fade each particle's `opaque` to 0 over its lifetime.
+     * @param {number} [options.gravityScale=1] - Multiplier for the scene's gravity.
+     * @param {number} [options.drag=0] - Fraction of speed lost per second.
+     * @param {number} [options.maxParticles=100] - Size of the pool; no more particles live at once.
+     * @param {object} [options.blockOptions] - Block options for every particle (default shape 'circle').
+     * @param {Component} [options.owningComponent] - The component drawing the particles.
+     */
+    constructor(options = {}) {
+        this.id = options.id || generateId('emitter');
+        this.x = options.x || 0;
+        this.y = options.y || 0;
+        this.source = options.source || null;
+        this.rate = options.rate || 0;
+        this.burst = options.burst || 0;
+        this.lifetime = options.lifetime === undefined ? 1000 : options.lifetime;
+        this.angle = options.angle === undefined ? [0, 360] : options.angle;
+        this.speed = options.speed === undefined ? [50, 150] : options.speed;
+        this.size = options.size === undefined ? 4 : options.size;
+        this.colors = options.colors && options.colors.length > 0 ? options.colors : ['black'];
+        this.fadeOut = options.fadeOut !== false;
+        this.gravityScale = options.gravityScale === undefined ? 1 : options.gravityScale;
+        this.drag = options.drag || 0;
+        this.owningComponent = options.owningComponent || null;
+        this.running = false;
+        this._spawnDebt = 0; // Fractional particles owed by `rate`
+
+        const blockOptions = { shape: 'circle', ...options.blockOptions };
+        this.startOpaque = blockOptions.opaque === undefined ? 100 : Math.max(0, Math.min(100, blockOptions.opaque));
+        const count = Math.max(0, Math.round(options.maxParticles === undefined ? 100 : options.maxParticles));
+        this.pool = [];
+        for (let i = 0; i < count; i++) {
+            const block = new Block({ ...blockOptions, id: `${this.id}-${i}` });
+            block.opaque = 0;
+            this.pool.push({
+                block: block,
+                alive: false,
+                age: 0,
+                lifetime: 0,
+                speedX: 0,
+                speedY: 0,
+                prevX: block.x,
+                prevY: block.y
+            });
+        }
+        this.blocks = this.pool.map(particle => particle.block); // For rendering
+    }
+
+    /**
+     * The number of particles currently alive.
+     * @returns {number}
+     */
+    get liveCount() {
+        return this.pool.filter(particle => particle.alive).length;
+    }
+
+    /**
+     * Starts emitting at `rate`, after emitting the `burst`.
+     */
+    start() {
+        this.running = true;
+        this._spawnDebt = 0;
+        paperfoldScene.addTask(this);
+        if (this.burst > 0) {
+            this.emit(this.burst);
+        }
+    }
+
+    /**
+     * Stops emitting; particles already out live out their lifetime.
+     */
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Emits particles at once, as many as the pool has free.
+     * @param {number} count - How many particles to emit.
+     * @returns {number} How many were emitted.
+     */
+    emit(count) {
+        let emitted = 0;
+        for (const particle of this.pool) {
+            if (emitted >= count) break;
+            if (particle.alive) continue;
+            this._spawn(particle);
+            emitted++;
+        }
+        if (emitted > 0) {
+            paperfoldScene.addTask(this);
+        }
+        return emitted;
+    }
+
+    /**
+     * Moves where particles start (when there is no `source`).
+     * @param {number} x - The x coordinate.
+     * @param {number} y - The y coordinate.
+     */
+    moveTo(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * Stops emitting and hides every particle at once.
+     */
+    cancel() {
+        this.running = false;
+        paperfoldScene.removeTask(this);
+        this.pool.forEach(particle => {
+            if (particle.alive) {
+                this._retire(particle);
+            }
+        });
+    }
+
+    step(dt) {
+        if (this.running && this.rate > 0) {
+            this._spawnDebt += this.rate * dt;
+            const count = Math.floor(this._spawnDebt);
+            this._spawnDebt -= count;
+            if (count > 0) {
+                this.emit(count);
+            }
+        }
+
+        const gravity = paperfoldScene.gravity;
+        const dragFactor = Math.max(0, 1 - this.drag * dt);
+        let alive = 0;
+        this.pool.forEach(particle => {
+            if (!particle.alive) return;
+            const block = particle.block;
+            particle.age += dt * 1000;
+            if (particle.age >= particle.lifetime) {
+                this._retire(particle);
+                return;
+            }
+            particle.prevX = block.x;
+            particle.prevY = block.y;
+            particle.speedX = (particle.speedX + gravity.x * this.gravityScale * dt) * dragFactor;
+            particle.speedY = (particle.speedY + gravity.y * this.gravityScale * dt) * dragFactor;
+            block.x += particle.speedX * dt;
+            block.y += particle.speedY * dt;
+            if (this.fadeOut) {
+                block.opaque = this.startOpaque * (1 - particle.age / particle.lifetime);
+            }
+            alive++;
+        });
+        return this.running || alive > 0;
+    }
+
+    render(alpha) {
+        const component = this.owningComponent;
+        if (!component) return;
+        this.pool.forEach(particle => {
+            if (!particle.alive) return;
+            const block = particle.block;
+            if (this.fadeOut) {
+                component.updateBlockStyle(block.id, block);
+            }
+            component.updateBlockVisuals(block.id, block, {
+                x: particle.prevX + (block.x - particle.prevX) * alpha,
+                y: particle.prevY + (block.y - particle.prevY) * alpha
+            });
+        });
+    }
+
+    _spawn(particle) {
+        const block = particle.block;
+        const origin = this.source ? this.source.getCenter() : { x: this.x, y: this.y };
+        const color = this.colors[Math.floor(paperfoldRandom() * this.colors.length)];
+        const radians = randomInRange(this.angle) * Math.PI / 180;
+        const speed = randomInRange(this.speed);
+        block.size = Math.max(0, randomInRange(this.size));
+        block.fillColor = color;
+        block.borderColor = color;
+        block.opaque = this.startOpaque;
+        block.centerOn(origin.x, origin.y);
+        particle.alive = true;
+        particle.age = 0;
+        particle.lifetime = Math.max(1, randomInRange(this.lifetime));
+        particle.speedX = Math.cos(radians) * speed;
+        particle.speedY = Math.sin(radians) * speed;
+        particle.prevX = block.x;
+        particle.prevY = block.y;
+        if (this.owningComponent) {
+            this.owningComponent.updateBlockStyle(block.id, block);
+        }
+    }
+
+    _retire(particle) {
+        particle.alive = false;
+        particle.block.opaque = 0;
+        if (this.owningComponent) {
+            this.owningComponent.updateBlockStyle(particle.block.id, particle.block);
+        }
+    }
+}
+
+// --- Pointer Interaction ---
+
+const CLICK_SLOP = 4; // Pixels the pointer may move between press and release for a click
+const THROW_SAMPLE_TIME = 100; // Milliseconds of pointer movement used for the throw velocity
+
+/**
+ * Routes pointer events on a component's element to its blocks, hit-testing their real shapes
+ * (see blockContainsPoint) and picking the topmost by level. Calls each block's `onClick`,
+ * `onHover` and `onDrag` handlers, then emits the same event ('click', 'hover', 'drag') on
+ * `paperfoldScene`. Blocks with `draggable` follow the pointer while held; a moving block's
+ * animation is paused meanwhile, and resumes when let go, with the pointer's velocity for
+ * blocks with `throwable`. Listeners are removed when the component unmounts.
+ *
+ * Event details: `block`, `x`, `y` and `originalEvent`, plus `hovering` (true on enter, false
+ * on leave) for 'hover' and `phase` ('start', 'move' or 'end') and `velocity` for 'drag'.
+ * Preventing a drag 'start' keeps the block from being picked up; preventing its 'end' skips the throw.
+ */
+class PointerController {
+    /**
+     * @param {Component} component - The component whose element receives the pointer events.
+     * @param {function(): Array<Block>} getBlocks - Returns the blocks to hit-test.
+     */
+    constructor(component, getBlocks) {
+        this.component = component;
+        this.getBlocks = getBlocks;
+        this.hoveredBlock = null;
+        this.pressed = null; // { block, pointerId, startX, startY, moved }
+        this.drag = null; // { offsetX, offsetY, samples, savedSpeedX, savedSpeedY }
+
+        const element = component.element;
+        component.listen(element, 'pointerdown', event => this._onPointerDown(event));
+        component.listen(element, 'pointermove', event => this._onPointerMove(event));
+        component.listen(element, 'pointerleave', event => this._setHovered(null, event));
+        component.listen(window, 'pointerup', event => this._onPointerUp(event));
+        component.listen(window, 'pointercancel', event => this._onPointerUp(event, true));
+    }
+
+    /**
+     * Returns the topmost block under a point.
+     * @param {number} x - The x coordinate, in block coordinates.
+     * @param {number} y - The y coordinate.
+     * @returns {Block|null} The block, or null if there is none.
+     */
+    blockAt(x, y) {
+        let top = null;
+        this.getBlocks().forEach(block => {
+            const bounds = block.getBounds();
+            if (x < bounds.minX || x > bounds.maxX || y < bounds.minY || y > bounds.maxY) return;
+            if (!blockContainsPoint(block, x, y)) return;
+            if (!top || block.level >= top.level) {
+                top = block; // Later blocks are drawn over earlier ones of the same level
+            }
+        });
+        return top;
+    }
+
+    _onPointerDown(event) {
+        const point = this.component.getPointerPosition(event);
+        const block = this.blockAt(point.x, point.y);
+        if (!block || this.pressed) return;
+        this.pressed = { block: block, pointerId: event.pointerId, startX: point.x, startY: point.y, moved: false };
+
+        if (block.draggable) {
+            const dragEvent = this._emit('drag', block, point, event, { phase: 'start', velocity: { x: 0, y: 0 } });
+            if (dragEvent.defaultPrevented) return;
+            const entry = activeBlockAnimations.get(block.id);
+            this.drag = {
+                offsetX: point.x - block.x,
+                offsetY: point.y - block.y,
+                samples: [{ x: point.x, y: point.y, time: paperfoldScene.clock.now() }],
+                savedSpeedX: entry ? entry.currentSpeedX : 0,
+                savedSpeedY: entry ? entry.currentSpeedY : 0
+            };
+            if (entry) {
+                entry.paused = true;
+            }
+            const element = this.component.element;
+            if (element && typeof element.setPointerCapture === 'function' && event.pointerId !== undefined) {
+                element.setPointerCapture(event.pointerId);
+            }
+            if (typeof event.preventDefault === 'function') {
+                event.preventDefault(); // No text selection or native drag while dragging
+            }
+        }
+    }
+
+    _onPointerMove(event) {
+        const point = this.component.getPointerPosition(event);
+        const pressed = this.pressed;
+        if (pressed && event.pointerId === pressed.pointerId) {
+            if (Math.hypot(point.x - pressed.startX, point.y - pressed.startY) > CLICK_SLOP) {
+                pressed.moved = true;
+            }
+            if (this.drag) {
+                this._moveDraggedBlock(pressed.block, point, event);
+                return;
+            }
+        }
+        this._setHovered(this.blockAt(point.x, point.y), event);
+    }
+
+    _onPointerUp(event, cancelled) {
+        const pressed = this.pressed;
+        if (!pressed || event.pointerId !== pressed.pointerId) return;
+        this.pressed = null;
+        const point = this.component.getPointerPosition(event);
+        const block = pressed.block;
+
+        if (this.drag) {
+            const velocity = this._dragVelocity();
+            const drag = this.drag;
+            this.drag = null;
+            const dragEvent = this._emit('drag', block, point, event, { phase: 'end', velocity: velocity });
+            const entry = activeBlockAnimations.get(block.id);
+            if (entry) {
+                const shouldThrow = block.throwable && !cancelled && !dragEvent.defaultPrevented;
+                entry.currentSpeedX = shouldThrow ? velocity.x : drag.savedSpeedX;
+                entry.currentSpeedY = shouldThrow ? velocity.y : drag.savedSpeedY;
+                entry.paused = false;
+                entry.sleeping = false;
+                entry.stillTime = 0;
+            }
+        }
+        if (!cancelled && !pressed.moved && this.blockAt(point.x, point.y) === block) {
+            this._emit('click', block, point, event, {});
+        }
+    }
+
+    _moveDraggedBlock(block, point, event) {
+        const drag = this.drag;
+        const now = paperfoldScene.clock.now();
+        drag.samples.push({ x: point.x, y: point.y, time: now });
+        while (drag.samples.length > 2 && now - drag.samples[0].time > THROW_SAMPLE_TIME) {
+            drag.samples.shift();
+        }
+        block.moveTo(point.x - drag.offsetX, point.y - drag.offsetY);
+
+        const entry = activeBlockAnimations.get(block.id);
+        const velocity = this._dragVelocity();
+        if (entry) {
+            // Let blocks that run into the held one feel the pointer's motion
+            entry.currentSpeedX = velocity.x;
+            entry.currentSpeedY = velocity.y;
+            entry.prevX = block.x;
+            entry.prevY = block.y;
+        }
+        paperfoldScene.updateBlockIndex(block);
+        this.component.updateBlockVisuals(block.id, block);
+        this._emit('drag', block, point, event, { phase: 'move', velocity: velocity });
+    }
+
+    _dragVelocity() {
+        const samples = this.drag.samples;
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const seconds = (last.time - first.time) / 1000;
+        if (seconds <= 0) return { x: 0, y: 0 };
+        return { x: (last.x - first.x) / seconds, y: (last.y - first.y) / seconds };
+    }
+
+    _setHovered(block, event) {
+        if (block === this.hoveredBlock) return;
+        const previous = this.hoveredBlock;
+        this.hoveredBlock = block;
+        const point = this.component.getPointerPosition(event);
+        if (previous) {
+            this._emit('hover', previous, point, event, { hovering: false });
+        }
+        if (block) {
+            this._emit('hover', block, point, event, { hovering: true });
+        }
+    }
+
+    _emit(type, block, point, originalEvent, details) {
+        const event = createPaperfoldEvent(type, {
+            block: block,
+            x: point.x,
+            y: point.y,
+            originalEvent: originalEvent,
+            ...details
+        });
+        const handler = block[`on${type.charAt(0).toUpperCase()}${type.slice(1)}`];
+        if (typeof handler === 'function') {
+            handler(event);
+        }
+        paperfoldScene.emit(type, event);
+        return event;
+    }
+}
+
+// --- Camera ---
+
+const CAMERA_ZOOM_SPEED = 0.0015; // Zoom change per pixel of wheel scrolling (exponential)
+
+/**
+ * Separates a component's world coordinates, which its blocks, bounds and pointer events use,
+ * from view coordinates, the pixels of its element. The camera's `x` and `y` are the world
+ * point at the view's top-left corner and `zoom` is view pixels per world unit. It can pan,
+ * zoom around a point, follow a block and keep the view inside `worldBounds`, which also become
+ * the walls for moveBlock's boundary modes (see Component#getWorldBounds).
+ * Attach it with `component.setCamera(camera)`.
+ */
+class Camera {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.x=0] - World x at the view's left edge.
+     * @param {number} [options.y=0] - World y at the view's top edge.
+     * @param {number} [options.zoom=1] - View pixels per world unit.
+     * @param {number} [options.minZoom=0.1] - Smallest zoom.
+     * @param {number} [options.maxZoom=10] - Largest zoom.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} [options.worldBounds] - The
+     * world's extent. The view stays inside it (centered where the world is smaller), and moving
+     * blocks bounce off it instead of the view's edges.
+     */
+    constructor(options = {}) {
+        this.x = options.x || 0;
+        this.y = options.y || 0;
+        this.minZoom = options.minZoom || 0.1;
+        this.maxZoom = options.maxZoom || 10;
+        this.zoom = Math.min(this.maxZoom, Math.max(this.minZoom, options.zoom || 1));
+        this.worldBounds = options.worldBounds || null;
+        this.component = null; // Set by Component#setCamera
+        this.target = null; // The followed block
+        this.followOptions = null;
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.renderX = this.x; // Drawn position, between the previous and current step
+        this.renderY = this.y;
+    }
+
+    /**
+     * The component the camera belongs to; following stops when it unmounts.
+     * @returns {Component|null}
+     */
+    get owningComponent() {
+        return this.component;
+    }
+
+    /**
+     * Returns the size of the view in view pixels.
+     * @returns {{width: number, height: number}} The size.
+     */
+    getViewSize() {
+        if (!this.component) {
+            if (typeof window === 'undefined') return { width: 0, height: 0 };
+            return { width: window.innerWidth, height: window.innerHeight };
+        }
+        const area = this.component.getContainerBounds();
+        return { width: area.maxX - area.minX, height: area.maxY - area.minY };
+    }
+
+    /**
+     * Returns the part of the world currently in view.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}} The visible world rectangle.
+     */
+    getViewBounds() {
+        const size = this.getViewSize();
+        return {
+            minX: this.x,
+            minY: this.y,
+            maxX: this.x + size.width / this.zoom,
+            maxY: this.y + size.height / this.zoom
+        };
+    }
+
+    /**
+     * Converts a world point to view pixels.
+     * @param {number} x - World x.
+     * @param {number} y - World y.
+     * @returns {{x: number, y: number}} The point in the view.
+     */
+    worldToView(x, y) {
+        return { x: (x - this.x) * this.zoom, y: (y - this.y) * this.zoom };
+    }
+
+    /**
+     * Converts view pixels to a world point.
+     * @param {number} x - View x.
+     * @param {number} y - View y.
+     * @returns {{x: number, y: number}} The point in the world.
+     */
+    viewToWorld(x, y) {
+        return { x: this.x + x / this.zoom, y: this.y + y / this.zoom };
+    }
+
+    /**
+     * Moves the view by a distance in view pixels (so panning feels the same at every zoom).
+     * @param {number} dx - Pixels to move right.
+     * @param {number} dy - Pixels to move down.
+     */
+    panBy(dx, dy) {
+        this._moveTo(this.x + dx / this.zoom, this.y + dy / this.zoom);
+    }
+
+    /**
+     * Moves the view so a world point is at its center.
+     * @param {number} x - World x.
+     * @param {number} y - World y.
+     */
+    centerOn(x, y) {
+        const size = this.getViewSize();
+        this._moveTo(x - size.width / 2 / this.zoom, y - size.height / 2 / this.zoom);
+    }
+
+    /**
+     * Sets the zoom, keeping the world point under an anchor where it is on screen.
+     * @param {number} zoom - View pixels per world unit, limited to minZoom-maxZoom.
+     * @param {number} [anchorX] - Anchor in view pixels. Defaults to the view's center.
+     * @param {number} [anchorY] - Anchor in view pixels. Defaults to the view's center.
+     */
+    setZoom(zoom, anchorX, anchorY) {
+        if (typeof zoom !== 'number' || !(zoom > 0)) {
+            console.error("Camera.setZoom: zoom must be a positive number.");
+            return;
+        }
+        const size = this.getViewSize();
+        const viewX = anchorX === undefined ? size.width / 2 : anchorX;
+        const viewY = anchorY === undefined ? size.height / 2 : anchorY;
+        const anchor = this.viewToWorld(viewX, viewY);
+        this.zoom = Math.min(this.maxZoom, Math.max(this.minZoom, zoom));
+        this._moveTo(anchor.x - viewX / this.zoom, anchor.y - viewY / this.zoom);
+    }
+
+    /**
+     * Multiplies the zoom (see setZoom).
+     * @param {number} factor - 2 to zoom in twice as far, 0.5 to zoom out.
+     * @param {number} [anchorX] - Anchor in view pixels.
+     * @param {number} [anchorY] - Anchor in view pixels.
+     */
+    zoomBy(factor, anchorX, anchorY) {
+        this.setZoom(this.zoom * factor, anchorX, anchorY);
+    }
+
+    /**
+     * Keeps a block in view, moving the camera on the scene's loop. Replaces any earlier target.
+     * @param {Block} blockObject - The block to follow.
+     * @param {object} [options]
+     * @param {number} [options.smoothing=0] - Seconds the camera takes to cover about two thirds
+     * of the distance to the block; 0 keeps it exactly centered.
+     * @param {{width: number, height: number}} [options.deadZone] - A box around the view's center,
+     * in view pixels, that the block can move in without moving the camera.
+     * @param {{x: number, y: number}} [options.offset] - World offset of the followed point from the block's center.
+     */
+    follow(blockObject, options = {}) {
+        if (!(blockObject instanceof Block)) {
+            console.error("Camera.follow: Invalid blockObject provided. Must be an instance of Block.");
+            return;
+        }
+        this.target = blockObject;
+        this.followOptions = {
+            smoothing: Math.max(0, options.smoothing || 0),
+            deadZone: { width: 0, height: 0, ...options.deadZone },
+            offset: { x: 0, y: 0, ...options.offset }
+        };
+        paperfoldScene.addTask(this);
+    }
+
+    /**
+     * Stops following, leaving the view where it is.
+     */
+    stopFollowing() {
+        this.target = null;
+        this.followOptions = null;
+        paperfoldScene.removeTask(this);
+    }
+
+    /**
+     * Stops following; called when the owning component unmounts.
+     */
+    cancel() {
+        this.stopFollowing();
+    }
+
+    /**
+     * Lets the user move the camera: the mouse wheel zooms around the pointer, and dragging
+     * the view where there is no block pans it (and stops following). The listeners are removed
+     * when the component unmounts.
+     * @param {object} [options]
+     * @param {boolean} [options.pan=true] - Pan by dragging.
+     * @param {boolean} [options.zoom=true] - Zoom with the wheel.
+     * @param {number} [options.zoomSpeed=0.0015] - Zoom change per pixel scrolled.
+     * @returns {function} A function that removes the controls early.
+     */
+    attachControls(options = {}) {
+        const component = this.component;
+        if (!component || !component.element) {
+            console.error("Camera.attachControls: The camera must be set on a mounted component first.");
+            return () => {};
+        }
+        const element = component.element;
+        const zoomSpeed = options.zoomSpeed || CAMERA_ZOOM_SPEED;
+        const viewPosition = event => {
+            const world = component.getPointerPosition(event);
+            return this.worldToView(world.x, world.y);
+        };
+        const removers = [];
+        let panning = null; // { pointerId, x, y }
+
+        if (options.zoom !== false) {
+            removers.push(component.listen(element, 'wheel', event => {
+                event.preventDefault();
+                const anchor = viewPosition(event);
+                this.zoomBy(Math.exp(-event.deltaY * zoomSpeed), anchor.x, anchor.y);
+            }, { passive: false }));
+        }
+        if (options.pan !== false) {
+            removers.push(component.listen(element, 'pointerdown', event => {
+                if (panning) return;
+                const world = component.getPointerPosition(event);
+                if (component.pointerController && component.pointerController.blockAt(world.x, world.y)) return;
+                const view = this.worldToView(world.x, world.y);
+                panning = { pointerId: event.pointerId, x: view.x, y: view.y };
+            }));
+            removers.push(component.listen(element, 'pointermove', event => {
+                if (!panning || event.pointerId !== panning.pointerId) return;
+                const view = viewPosition(event);
+                if (this.target) {
+                    this.stopFollowing();
+                }
+                this.panBy(panning.x - view.x, panning.y - view.y);
+                panning.x = view.x;
+                panning.y = view.y;
+            }));
+            const endPan = event => {
+                if (panning && event.pointerId === panning.pointerId) {
+                    panning = null;
+                }
+            };
+            removers.push(component.listen(window, 'pointerup', endPan));
+            removers.push(component.listen(window, 'pointercancel', endPan));
+        }
+        return () => removers.forEach(remove => remove());
+    }
+
+    step(dt) {
+        const block = this.target;
+        if (!block) return false;
+        this.prevX = this.x;
+        this.prevY = this.y;
+
+        const { smoothing, deadZone, offset } = this.followOptions;
+        const size = this.getViewSize();
+        const center = block.getCenter();
+        // How far the followed point is outside the dead zone, in world units
+        const outside = (distance, zoneSize) => {
+            const half = zoneSize / 2 / this.zoom;
+            return Math.abs(distance) <= half ? 0 : distance - Math.sign(distance) * half;
+        };
+        const dx = outside(center.x + offset.x - (this.x + size.width / 2 / this.zoom), deadZone.width);
+        const dy = outside(center.y + offset.y - (this.y + size.height / 2 / this.zoom), deadZone.height);
+        const t = smoothing > 0 ? 1 - Math.exp(-dt / smoothing) : 1;
+        this.x += dx * t;
+        this.y += dy * t;
+        this._clamp();
+        return true;
+    }
+
+    render(alpha) {
+        this.renderX = this.prevX + (this.x - this.prevX) * alpha;
+        this.renderY = this.prevY + (this.y - this.prevY) * alpha;
+        this._apply();
+    }
+
+    _moveTo(x, y) {
+        this.x = x;
+        this.y = y;
+        this._clamp();
+        this.prevX = this.renderX = this.x;
+        this.prevY = this.renderY = this.y;
+        this._apply();
+    }
+
+    /**
+     * Moves the view back inside the world bounds on each axis, centering it on an axis where
+     * the world is smaller than the view.
+     */
+    _clamp() {
+        const world = this.worldBounds;
+        if (!world) return;
+        const size = this.getViewSize();
+        const clampAxis = (position, viewLength, min, max) => {
+            if (viewLength >= max - min) return min - (viewLength - (max - min)) / 2;
+            return Math.min(max - viewLength, Math.max(min, position));
+        };
+        this.x = clampAxis(this.x, size.width / this.zoom, world.minX, world.maxX);
+        this.y = clampAxis(this.y, size.height / this.zoom, world.minY, world.maxY);
+    }
+
+    _apply() {
+        const component = this.component;
+        if (component && component._isMounted && typeof component.renderer.applyCamera === 'function') {
+            component.renderer.applyCamera(component);
+        }
+    }
+}
+
+// --- Renderers ---
+
+// A renderer draws a component's blocks. Components call it through updateBlockStyle and
+// updateBlockVisuals, and the scene calls `draw()` once per frame for renderers added with
+// `paperfoldScene.addRenderer`. A renderer implements:
+// - renderBlocks(component, container, blocks): called from render() to put the blocks into `container`,
+//   recording the component as their owner (see recordBlockOwners).
+// - updateBlockStyle(component, blockId, block): the block's size, border or opacity changed.
+// - updateBlockVisuals(component, blockId, block, position): the block moved.
+// - applyCamera(component): the component's camera moved or zoomed (see Camera).
+// - draw(): end of a frame.
+// - detach(component): the component unmounted.
+
+/**
+ * Draws every block as an absolutely positioned `div` moved with CSS transforms; a group's `div`
+ * holds its children's. With a camera, the blocks go into a world layer `div` that is scaled and
+ * moved as a whole.
+ */
+class DomRenderer {
+    renderBlocks(component, container, blocks) {
+        recordBlockOwners(component, blocks);
+        if (component.camera) {
+            const worldLayer = document.createElement('div');
+            worldLayer.setAttribute('data-key', 'paperfold-world');
+            worldLayer.style.position = 'absolute';
+            worldLayer.style.left = '0';
+            worldLayer.style.top = '0';
+            worldLayer.style.transformOrigin = '0 0';
+            this._applyWorldTransform(worldLayer, component.camera);
+            container.style.overflow = 'hidden'; // The world may be larger than the view
+            container.appendChild(worldLayer);
+            container = worldLayer;
+        }
+        this._appendBlocks(component, container, blocks);
+    }
+
+    _appendBlocks(component, container, blocks) {
+        blocks.forEach(block => {
+            const blockElement = document.createElement('div');
+            blockElement.id = block.id;
+            if (block instanceof BlockGroup) {
+                // The children go inside, so the group's transform and opacity apply to them
+                blockElement.style.transformOrigin = '0 0';
+                this._appendBlocks(component, blockElement, block.children);
+            } else if (block.shape === 'text') {
+                blockElement.textContent = block.text;
+                blockElement.style.whiteSpace = 'nowrap';
+                blockElement.style.textAlign = 'center';
+            } else if (block.shape === 'polygon' || block.shape === 'triangle') {
+                // Clipping the element itself would cut off its border and shadow, so the outline
+                // and the fill are clipped layers inside it (see _applyPolygonLayers)
+                ['border', 'fill'].forEach(layer => {
+                    const layerElement = document.createElement('div');
+                    layerElement.setAttribute('data-key', `paperfold-${layer}`);
+                    layerElement.style.position = 'absolute';
+                    blockElement.appendChild(layerElement);
+                });
+            }
+            blockElement.style.position = 'absolute'; // Block coordinates are relative to the container
+            blockElement.style.left = '0';
+            blockElement.style.top = '0';
+
+            container.appendChild(blockElement);
+            component.blockElements.set(block.id, blockElement);
+            this.updateBlockStyle(component, block.id, block);
+        });
+    }
+
+    updateBlockStyle(component, blockId, blockData) {
+        const element = component.blockElements.get(blockId);
+        if (element && blockData instanceof BlockGroup) {
+            element.style.opacity = blockData.opaque / 100;
+            element.style.zIndex = Math.round(blockData.level);
+            element.className = blockData.className ? `block-group ${blockData.className}` : 'block-group';
+        } else if (element) {
+            element.style.width = `${blockData.actualWidth}px`;
+            element.style.height = `${blockData.actualHeight}px`;
+            element.style.border = `${blockData.borderWidth}px solid ${blockData.borderColor}`;
+            element.style.opacity = blockData.opaque / 100;
+            element.style.zIndex = Math.round(blockData.level);
+            element.className = this._classNameFor(blockData);
+            this._applyFillStyle(element, blockData);
+            this._applyShapeStyle(element, blockData);
+            Object.keys(blockData.style).forEach(property => {
+                if (property.startsWith('--')) {
+                    element.style.setProperty(property, blockData.style[property]);
+                } else {
+                    element.style[property] = blockData.style[property];
+                }
+            });
+        }
+        this.updateBlockVisuals(component, blockId, blockData);
+    }
+
+    _classNameFor(blockData) {
+        // Example: 'block-element circle' or 'block-element square', plus a class for the border color
+        let className = `block-element ${blockData.shape}`;
+        if (blockData.borderColor) {
+            className += ` ${blockData.borderColor.replace(/[^a-zA-Z0-9]/g, '')}-border`;
+        }
+        return blockData.className ? `${className} ${blockData.className}` : className;
+    }
+
+    _applyFillStyle(element, blockData) {
+        element.style.background = blockData.shape === 'text' ? 'transparent' : this._fillBackground(blockData);
+        const shadow = blockData.shadow;
+        element.style.boxShadow = shadow
+            ? `${shadow.x || 0}px ${shadow.y || 0}px ${shadow.blur || 0}px ${shadow.color || 'rgba(0, 0, 0, 0.5)'}`
+            : '';
+    }
+
+    _fillBackground(blockData) {
+        const stops = getGradientStops(blockData.fillGradient);
+        if (!stops) {
+            return blockData.fillColor || blockData.borderColor;
+        }
+        const stopList = stops.map(stop => `${stop.color} ${stop.offset * 100}%`).join(', ');
+        return blockData.fillGradient.type === 'radial'
+            ? `radial-gradient(closest-side, ${stopList})`
+            : `linear-gradient(${blockData.fillGradient.angle || 0}deg, ${stopList})`;
+    }
 
-        if (oldElement && parentNode) {
-            try {
-                if (parentNode.contains(oldElement)) {
-                    parentNode.removeChild(oldElement);
-                }
-                parentNode.appendChild(newElement);
-            } catch (e) {
-                // Error handling removed for simplification
-            }
+    _applyShapeStyle(element, blockData) {
+        const shape = blockData.shape;
+        if (shape === 'circle') {
+            element.style.borderRadius = '50%';
+        } else if (shape === 'polygon' || shape === 'triangle') {
+            this._applyPolygonLayers(element, blockData);
         } else {
-            if (this._isMounted && this.rootElement) {
-                 this.rootElement.innerHTML = '';
-                 this.rootElement.appendChild(newElement);
-            }
+            const radius = getVisualCornerRadius(blockData);
+            element.style.borderRadius = radius ? `${radius}px` : '';
         }
-        this.element = newElement;
-        if (typeof this.componentDidUpdate === 'function') {
-            this.componentDidUpdate();
+        if (shape === 'text') {
+            element.style.color = blockData.fillColor || blockData.borderColor;
+            element.style.font = `${blockData.fontSize * (1 + blockData.scale_y / 100)}px ${blockData.fontFamily}`;
+            element.style.lineHeight = `${blockData.actualHeight}px`;
         }
     }
 
-    /**
-     * Updates the visual position of a block's DOM element using CSS transform.
-     * @param {string} blockId - The ID of the block.
-     * @param {Block} blockData - The Block object with updated position.
-     */
-    updateBlockVisuals(blockId, blockData) {
-        const element = this.blockElements.get(blockId);
+    _applyPolygonLayers(element, blockData) {
+        // As on the canvas: the outline scaled to the whole box in borderColor, the fill's outline
+        // scaled to the block's size on top, and the shadow cast by both
+        const layers = Array.from(element.children);
+        const borderLayer = layers.find(layer => getNodeKey(layer) === 'paperfold-border');
+        const fillLayer = layers.find(layer => getNodeKey(layer) === 'paperfold-fill');
+        if (!borderLayer || !fillLayer) return;
+        const borderWidth = blockData.borderWidth;
+        const halfWidth = blockData.actualWidth / 2;
+        const halfHeight = blockData.actualHeight / 2;
+        const percent = (value, half) => `${+((value + half) / (2 * half) * 100).toFixed(3)}%`;
+        const corners = blockData.getLocalVertices().map(([x, y]) => `${percent(x, halfWidth)} ${percent(y, halfHeight)}`);
+        const clipPath = `polygon(${corners.join(', ')})`;
+
+        borderLayer.style.left = `${-borderWidth}px`;
+        borderLayer.style.top = `${-borderWidth}px`;
+        borderLayer.style.width = `${blockData.actualWidth + 2 * borderWidth}px`;
+        borderLayer.style.height = `${blockData.actualHeight + 2 * borderWidth}px`;
+        borderLayer.style.background = borderWidth > 0 ? blockData.borderColor : 'transparent';
+        borderLayer.style.clipPath = clipPath;
+        fillLayer.style.left = '0';
+        fillLayer.style.top = '0';
+        fillLayer.style.width = `${blockData.actualWidth}px`;
+        fillLayer.style.height = `${blockData.actualHeight}px`;
+        fillLayer.style.background = this._fillBackground(blockData);
+        fillLayer.style.clipPath = clipPath;
+
+        // The element keeps its box, so it lines up like the other shapes, but draws nothing itself
+        element.style.borderColor = 'transparent';
+        element.style.background = 'transparent';
+        const shadow = blockData.shadow;
+        element.style.boxShadow = '';
+        element.style.filter = shadow
+            ? `drop-shadow(${shadow.x || 0}px ${shadow.y || 0}px ${shadow.blur || 0}px ${shadow.color || 'rgba(0, 0, 0, 0.5)'})`
+            : '';
+    }
+
+    updateBlockVisuals(component, blockId, blockData, position) {
+        const element = component.blockElements.get(blockId);
         if (element) {
-            let visualX = blockData.x;
-            let visualY = blockData.y;
+            let visualX = position ? position.x : blockData.x;
+            let visualY = position ? position.y : blockData.y;
             if (blockData.shape === 'circle') {
-                visualX = blockData.x - blockData.radiusX;
-                visualY = blockData.y - blockData.radiusY;
+                visualX -= blockData.radiusX;
+                visualY -= blockData.radiusY;
+            }
+            const rotation = position && position.rotation !== undefined ? position.rotation : blockData.rotation;
+            if (blockData instanceof BlockGroup) {
+                element.style.transform = `translate(${visualX}px, ${visualY}px) scale(${blockData.scaleFactorX}, ${blockData.scaleFactorY})`;
+                return;
             }
-            element.style.transform = `translate(${visualX}px, ${visualY}px)`;
+            element.style.transform = `translate(${visualX}px, ${visualY}px)` +
+                (rotation ? ` rotate(${rotation}deg)` : '');
+        }
+    }
+
+    applyCamera(component) {
+        const element = component.element;
+        if (!element || !component.camera) return;
+        const worldLayer = Array.from(element.children).find(child => getNodeKey(child) === 'paperfold-world');
+        if (worldLayer) {
+            this._applyWorldTransform(worldLayer, component.camera);
         }
     }
+
+    _applyWorldTransform(worldLayer, camera) {
+        worldLayer.style.transform = `scale(${camera.zoom}) translate(${-camera.renderX}px, ${-camera.renderY}px)`;
+    }
+
+    draw() {}
+
+    detach() {}
 }
 
 /**
- * The main Paperfold.js application initializer.
+ * Draws each component's blocks onto one `canvas` element filling its container, redrawing
+ * at the end of any frame in which a block changed. Blocks are drawn in order of `level`,
+ * with the same geometry as the DOM renderer; animation and collisions are unaffected.
  */
-class PaperfoldApp {
-    constructor(RootComponent, rootElement) {
-        this.rootComponent = new RootComponent();
-        this.rootElement = rootElement;
-        this.rootComponent.rootElement = rootElement;
-        this._renderApp();
+class CanvasRenderer {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.pixelRatio=window.devicePixelRatio] - Canvas pixels per CSS pixel.
+     */
+    constructor(options = {}) {
+        this.pixelRatio = options.pixelRatio || (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        this.surfaces = new Map(); // component -> { canvas, blocks, positions }
+        this.dirty = false;
     }
 
-    _renderApp() {
-        this.rootElement.innerHTML = '';
-        const mountedElement = this.rootComponent._mount();
-        this.rootElement.appendChild(mountedElement);
+    renderBlocks(component, container, blocks) {
+        recordBlockOwners(component, blocks);
+        let surface = this.surfaces.get(component);
+        if (!surface) {
+            const canvas = document.createElement('canvas');
+            canvas.setAttribute('data-key', 'paperfold-canvas');
+            canvas.style.position = 'absolute';
+            canvas.style.left = '0';
+            canvas.style.top = '0';
+            canvas.style.width = '100%';
+            canvas.style.height = '100%';
+            surface = { canvas: canvas, blocks: [], positions: new Map() };
+            this.surfaces.set(component, surface);
+            paperfoldScene.addRenderer(this);
+        }
+        // The same canvas is handed out on every render, so reconciliation keeps it as it is
+        container.appendChild(surface.canvas);
+        surface.blocks = blocks.slice();
+        this._invalidate();
     }
-}
 
-// --- Block Object Definition ---
-class Block {
-    constructor(options) {
-        this.id = options.id || `block-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
-        this.shape = options.shape || 'square';
-        this.x = options.x || 0;
-        this.y = options.y || 0;
-        this.size = options.size || 50;
-        this.scale_x = options.scale_x === undefined ? 0 : options.scale_x;
-        this.scale_y = options.scale_y === undefined ? 0 : options.scale_y;
-        this.borderWidth = options.borderWidth || 0;
-        this.borderColor = options.borderColor || 'black';
-        this.level = options.level || 0;
-        this.opaque = options.opaque === undefined ? 100 : Math.max(0, Math.min(100, options.opaque));
+    updateBlockStyle(component, blockId, blockData) {
+        this.updateBlockVisuals(component, blockId, blockData);
+    }
 
-        if (this.shape !== 'square' && this.shape !== 'circle') {
-            this.shape = 'square';
+    updateBlockVisuals(component, blockId, blockData, position) {
+        const surface = this.surfaces.get(component);
+        if (!surface) return;
+        if (position) {
+            surface.positions.set(blockId, position);
+        } else {
+            surface.positions.delete(blockId);
         }
+        this._invalidate();
     }
 
-    get actualWidth() {
-        return this.shape === 'square' ? this.size * (1 + this.scale_x / 100) : 2 * this.size * (1 + this.scale_x / 100);
+    draw() {
+        if (!this.dirty) return;
+        this.dirty = false;
+        this.surfaces.forEach((surface, component) => this._drawSurface(surface, component));
     }
 
-    get actualHeight() {
-        return this.shape === 'square' ? this.size * (1 + this.scale_y / 100) : 2 * this.size * (1 + this.scale_y / 100);
+    applyCamera() {
+        this._invalidate();
     }
 
-    get radiusX() {
-        return this.shape === 'circle' ? this.size * (1 + this.scale_x / 100) : 0;
+    detach(component) {
+        this.surfaces.delete(component);
+        if (this.surfaces.size === 0) {
+            paperfoldScene.removeRenderer(this);
+        }
     }
 
-    get radiusY() {
-        return this.shape === 'circle' ? this.size * (1 + this.scale_y / 100) : 0;
+    _invalidate() {
+        this.dirty = true;
+        paperfoldScene.requestRender();
     }
 
-    getBounds() {
-        let minX, minY, maxX, maxY;
-        if (this.shape === 'square') {
-            minX = this.x; minY = this.y;
-            maxX = this.x + this.actualWidth; maxY = this.y + this.actualHeight;
-        } else if (this.shape === 'circle') {
-            minX = this.x - this.radiusX; minY = this.y - this.radiusY;
-            maxX = this.x + this.radiusX; maxY = this.y + this.radiusY;
-        } else {
-            minX = this.x; minY = this.y; maxX = this.x; maxY = this.y;
+    _drawSurface(surface, component) {
+        const canvas = surface.canvas;
+        const context = canvas.getContext && canvas.getContext('2d');
+        if (!context) return; // No canvas support (e.g. a test DOM)
+        const area = component.getContainerBounds();
+        const width = Math.round((area.maxX - area.minX) * this.pixelRatio);
+        const height = Math.round((area.maxY - area.minY) * this.pixelRatio);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
         }
-        return { minX, minY, maxX, maxY };
+
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        // World to canvas pixels: the camera's zoom and position, then the pixel ratio
+        const camera = component.camera;
+        const scale = this.pixelRatio * (camera ? camera.zoom : 1);
+        const offsetX = camera ? -camera.renderX * scale : 0;
+        const offsetY = camera ? -camera.renderY * scale : 0;
+        this._sortByLevel(surface.blocks).forEach(block => {
+            context.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+            this._drawItem(context, surface, block, scale, 1);
+        });
     }
 
-    moveTo(newX, newY) {
-        this.x = newX; this.y = newY;
+    _sortByLevel(blocks) {
+        return blocks
+            .map((block, index) => ({ block, index }))
+            .sort((a, b) => (a.block.level - b.block.level) || (a.index - b.index))
+            .map(({ block }) => block);
     }
 
-    moveBy(deltaX, deltaY) {
-        this.x += deltaX; this.y += deltaY;
+    /**
+     * Draws a block, or a group's children inside the group's transform and opacity.
+     */
+    _drawItem(context, surface, block, scale, opacity) {
+        if (block.opaque <= 0) return; // Invisible, e.g. an unused particle
+        const position = surface.positions.get(block.id);
+        if (!(block instanceof BlockGroup)) {
+            this._drawBlock(context, block, position, scale, opacity);
+            return;
+        }
+        const scaleX = block.scaleFactorX;
+        const scaleY = block.scaleFactorY;
+        context.translate(position ? position.x : block.x, position ? position.y : block.y);
+        context.scale(scaleX, scaleY);
+        this._sortByLevel(block.children).forEach(child => {
+            context.save();
+            this._drawItem(context, surface, child, scale * Math.sqrt(scaleX * scaleY), opacity * block.opaque / 100);
+            context.restore();
+        });
     }
 
-    resize(newSize) {
-        if (typeof newSize === 'number' && newSize >= 0) {
-            this.size = newSize;
+    _drawBlock(context, block, position, scale, opacity) {
+        // The box the DOM renderer draws: the block's size plus its border on every side
+        let boxX = position ? position.x : block.x;
+        let boxY = position ? position.y : block.y;
+        if (block.shape === 'circle') {
+            boxX -= block.radiusX;
+            boxY -= block.radiusY;
+        }
+        const borderWidth = block.borderWidth;
+        const boxWidth = block.actualWidth + 2 * borderWidth;
+        const boxHeight = block.actualHeight + 2 * borderWidth;
+
+        context.globalAlpha = opacity * block.opaque / 100;
+        context.translate(boxX + boxWidth / 2, boxY + boxHeight / 2);
+        const rotation = position && position.rotation !== undefined ? position.rotation : block.rotation;
+        if (rotation) {
+            context.rotate(rotation * Math.PI / 180);
+        }
+        const shadow = block.shadow;
+        if (shadow) {
+            // Shadows ignore the transform, so they are given in canvas pixels
+            context.shadowOffsetX = (shadow.x || 0) * scale;
+            context.shadowOffsetY = (shadow.y || 0) * scale;
+            context.shadowBlur = (shadow.blur || 0) * scale;
+            context.shadowColor = shadow.color || 'rgba(0, 0, 0, 0.5)';
+        }
+        const fill = this._fillStyle(context, block);
+
+        if (block.shape === 'text') {
+            context.fillStyle = fill;
+            context.font = `${block.fontSize * (1 + block.scale_y / 100)}px ${block.fontFamily}`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(block.text, 0, 0);
+        } else {
+            // The border is the outer outline filled with borderColor, then covered by the inner one
+            const outerRadius = getVisualCornerRadius(block);
+            if (borderWidth > 0) {
+                context.fillStyle = block.borderColor;
+                this._traceOutline(context, block, boxWidth, boxHeight, outerRadius);
+                context.fill();
+                context.shadowColor = 'transparent';
+            }
+            context.fillStyle = fill;
+            this._traceOutline(context, block, block.actualWidth, block.actualHeight, Math.max(0, outerRadius - borderWidth));
+            context.fill();
         }
+        context.shadowColor = 'transparent';
     }
-}
 
-// --- ANIMATION HELPERS ---
-const activeBlockAnimations = new Map();
+    _fillStyle(context, block) {
+        const stops = getGradientStops(block.fillGradient);
+        if (!stops) {
+            return block.fillColor || block.borderColor;
+        }
+        const width = block.actualWidth;
+        const height = block.actualHeight;
+        let gradient;
+        if (block.fillGradient.type === 'radial') {
+            gradient = context.createRadialGradient(0, 0, 0, 0, 0, Math.min(width, height) / 2);
+        } else {
+            // Same gradient line as CSS: through the center, long enough to reach the corners
+            const radians = (block.fillGradient.angle || 0) * Math.PI / 180;
+            const dirX = Math.sin(radians);
+            const dirY = -Math.cos(radians);
+            const halfLength = (Math.abs(width * dirX) + Math.abs(height * dirY)) / 2;
+            gradient = context.createLinearGradient(-dirX * halfLength, -dirY * halfLength, dirX * halfLength, dirY * halfLength);
+        }
+        stops.forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+        return gradient;
+    }
 
-function positiveModulo(i, n) {
-    return (i % n + n) % n;
+    _traceOutline(context, block, width, height, cornerRadius) {
+        context.beginPath();
+        if (block.shape === 'circle') {
+            context.ellipse(0, 0, width / 2, height / 2, 0, 0, 2 * Math.PI);
+        } else if (block.shape === 'polygon' || block.shape === 'triangle') {
+            const scaleX = block.actualWidth > 0 ? width / block.actualWidth : 1;
+            const scaleY = block.actualHeight > 0 ? height / block.actualHeight : 1;
+            block.getLocalVertices().forEach(([x, y], i) => {
+                if (i === 0) {
+                    context.moveTo(x * scaleX, y * scaleY);
+                } else {
+                    context.lineTo(x * scaleX, y * scaleY);
+                }
+            });
+        } else {
+            const radius = Math.min(cornerRadius, width / 2, height / 2);
+            const left = -width / 2;
+            const top = -height / 2;
+            context.moveTo(left + radius, top);
+            context.arcTo(left + width, top, left + width, top + height, radius);
+            context.arcTo(left + width, top + height, left, top + height, radius);
+            context.arcTo(left, top + height, left, top, radius);
+            context.arcTo(left, top, left + width, top, radius);
+        }
+        context.closePath();
+    }
 }
 
 /**
- * Initiates continuous movement for a block using direct DOM manipulation for visuals.
- * The owningComponent is expected to implement `updateBlockVisuals(blockId, blockData)`
- * to apply style changes (e.g., CSS transforms) to the block's DOM element.
- *
- * @param {Block} blockObject - The Block object to move.
- * @param {number} angle - The direction of movement in degrees (0-360).
- * @param {number} pps - Pixels per second to move.
- * @param {Component} owningComponent - The instance of the Component that owns this Block.
- * Must implement `updateBlockVisuals`.
- * @param {string} [boundary='pass'] - How the block behaves on collision with browser edges ('front', 'back', 'pass', 'bounce').
- * - 'front': Stops when its front part hits the browser wall.
- * - 'back': Stops when its back part hits/crosses the browser wall.
- * - 'pass': Passes through the browser wall, reappearing on the opposite side.
- * - 'bounce': Bounces in the opposite direction when hitting the browser wall.
- * @param {string} [collision='pass'] - How the block behaves on collision with other blocks ('stop', 'bounce', 'pass').
- * - 'stop': Both colliding blocks stop.
- * - 'bounce': Both colliding blocks bounce off each other.
- * - 'pass': Blocks pass through each other without interaction.
- * @param {number} [duration=0] - Optional: Duration in milliseconds.
- * @param {Array<Block>} [allBlocks=[]] - An array of all blocks in the scene for inter-block collision detection.
+ * Draws nothing, for running the simulation headless (see HeadlessComponent).
  */
-function moveBlock(blockObject, angle, pps, owningComponent, boundary = 'pass', collision = 'pass', duration = 0, allBlocks = []) {
-    if (!owningComponent || typeof owningComponent.updateBlockVisuals !== 'function') {
-        console.error("moveBlock: owningComponent is invalid or does not implement updateBlockVisuals(blockId, blockData).");
-        return;
-    }
-    if (!(blockObject instanceof Block)) {
-        console.error("moveBlock: Invalid blockObject provided. Must be an instance of Block.");
-        return;
-    }
-    if (typeof angle !== 'number' || typeof pps !== 'number') {
-        console.error("moveBlock: Invalid angle or pps (pixels per second).");
-        return;
-    }
-    if (!['front', 'back', 'pass', 'bounce'].includes(boundary)) {
-        boundary = 'pass';
-    }
-    if (!['stop', 'bounce', 'pass'].includes(collision)) {
-        collision = 'pass';
+class NullRenderer {
+    renderBlocks(component, container, blocks) {
+        recordBlockOwners(component, blocks);
     }
 
-    const blockId = blockObject.id;
+    updateBlockStyle() {}
 
-    if (activeBlockAnimations.has(blockId)) {
-        cancelAnimationFrame(activeBlockAnimations.get(blockId).animationFrameId);
-    }
+    updateBlockVisuals() {}
 
-    let currentSpeedX = Math.cos(angle * Math.PI / 180) * pps;
-    let currentSpeedY = Math.sin(angle * Math.PI / 180) * pps;
+    applyCamera() {}
 
-    let lastTime = performance.now();
-    let screenWidth = window.innerWidth;
-    let screenHeight = window.innerHeight;
+    draw() {}
 
-    const animate = (currentTime) => {
-        const deltaTime = (currentTime - lastTime) / 1000;
-        lastTime = currentTime;
+    detach() {}
+}
 
-        const blockToMove = blockObject;
-        
-        const calculatedDeltaX = currentSpeedX * deltaTime;
-        const calculatedDeltaY = currentSpeedY * deltaTime;
+/**
+ * The renderer components use unless their app picks another one.
+ */
+const paperfoldDomRenderer = new DomRenderer();
 
-        blockToMove.x += calculatedDeltaX;
-        blockToMove.y += calculatedDeltaY;
+const paperfoldNullRenderer = new NullRenderer();
 
-        let stopAnimation = false;
+/**
+ * Resolves a renderer option.
+ * @param {string|object} [renderer='dom'] - 'dom', 'canvas', 'none' or an object implementing the renderer methods.
+ * @returns {object} The renderer.
+ */
+function createRenderer(renderer = 'dom') {
+    if (renderer === 'dom') return paperfoldDomRenderer;
+    if (renderer === 'canvas') return new CanvasRenderer();
+    if (renderer === 'none') return paperfoldNullRenderer;
+    if (renderer && typeof renderer.updateBlockVisuals === 'function') return renderer;
+    console.error(`createRenderer: Unknown renderer '${renderer}', using 'dom'.`);
+    return paperfoldDomRenderer;
+}
 
-        // Boundary collision logic
-        if (boundary === 'front') {
-            if (blockToMove.shape === 'square') {
-                if (currentSpeedX > 0 && blockToMove.x + blockToMove.actualWidth >= screenWidth) {
-                    blockToMove.x = screenWidth - blockToMove.actualWidth; stopAnimation = true;
-                } else if (currentSpeedX < 0 && blockToMove.x <= 0) {
-                    blockToMove.x = 0; stopAnimation = true;
-                }
-                if (currentSpeedY > 0 && blockToMove.y + blockToMove.actualHeight >= screenHeight) {
-                    blockToMove.y = screenHeight - blockToMove.actualHeight; stopAnimation = true;
-                } else if (currentSpeedY < 0 && blockToMove.y <= 0) {
-                    blockToMove.y = 0; stopAnimation = true;
-                }
-            } else if (blockToMove.shape === 'circle') {
-                if (currentSpeedX > 0 && blockToMove.x + blockToMove.radiusX >= screenWidth) {
-                    blockToMove.x = screenWidth - blockToMove.radiusX; stopAnimation = true;
-                } else if (currentSpeedX < 0 && blockToMove.x - blockToMove.radiusX <= 0) {
-                    blockToMove.x = blockToMove.radiusX; stopAnimation = true;
-                }
-                if (currentSpeedY > 0 && blockToMove.y + blockToMove.radiusY >= screenHeight) {
-                    blockToMove.y = screenHeight - blockToMove.radiusY; stopAnimation = true;
-                } else if (currentSpeedY < 0 && blockToMove.y - blockToMove.radiusY <= 0) {
-                    blockToMove.y = blockToMove.radiusY; stopAnimation = true;
-                }
-            }
-        } else if (boundary === 'back') {
-            if (blockToMove.shape === 'square') {
-                if (currentSpeedX > 0 && blockToMove.x >= screenWidth) { // Trailing edge (left side) crosses right boundary
-                    blockToMove.x = screenWidth; stopAnimation = true;
-                } else if (currentSpeedX < 0 && blockToMove.x + blockToMove.actualWidth <= 0) { // Trailing edge (right side) crosses left boundary
-                    blockToMove.x = -blockToMove.actualWidth; stopAnimation = true;
-                }
-                if (currentSpeedY > 0 && blockToMove.y >= screenHeight) { // Trailing edge (top side) crosses bottom boundary
-                    blockToMove.y = screenHeight; stopAnimation = true;
-                } else if (currentSpeedY < 0 && blockToMove.y + blockToMove.actualHeight <= 0) { // Trailing edge (bottom side) crosses top boundary
-                    blockToMove.y = -blockToMove.actualHeight; stopAnimation = true;
-                }
-            } else if (blockToMove.shape === 'circle') {
-                if (currentSpeedX > 0 && blockToMove.x - blockToMove.radiusX >= screenWidth) { // Trailing edge (left side) crosses right boundary
-                    blockToMove.x = screenWidth + blockToMove.radiusX; stopAnimation = true;
-                } else if (currentSpeedX < 0 && blockToMove.x + blockToMove.radiusX <= 0) { // Trailing edge (right side) crosses left boundary
-                    blockToMove.x = -blockToMove.radiusX; stopAnimation = true;
-                }
-                if (currentSpeedY > 0 && blockToMove.y - blockToMove.radiusY >= screenHeight) { // Trailing edge (top side) crosses bottom boundary
-                    blockToMove.y = screenHeight + blockToMove.radiusY; stopAnimation = true;
-                } else if (currentSpeedY < 0 && blockToMove.y + blockToMove.radiusY <= 0) { // Trailing edge (bottom side) crosses top boundary
-                    blockToMove.y = -blockToMove.radiusY; stopAnimation = true;
-                }
-            }
+// --- Debug Overlay ---
+
+const DEBUG_CONTACT_TIME = 500; // Milliseconds a collision contact stays on the overlay
+const DEBUG_VELOCITY_TIME = 0.25; // Velocity arrows show how far a block moves in this many seconds
+
+/**
+ * Draws diagnostics over an app's root component and shows the scene's frame statistics
+ * (see Scene#stats). The overlay outlines every block the root component draws, including
+ * group children and live particles, with its `getBounds()` box and id (the component lists them
+ * with `getRenderedBlocks()`; without it, the blocks in the scene's index are used), draws the velocity of moving blocks as arrows (grey for sleeping ones) and marks recent
+ * collision contacts with their normal. Both are fixed-position elements added to the page,
+ * redrawn at the end of every frame. Turn it on and off with PaperfoldApp#setDebug.
+ */
+class DebugOverlay {
+    /**
+     * @param {PaperfoldApp} app - The app to inspect.
+     * @param {object} [options]
+     * @param {boolean} [options.overlay=true] - Draw bounds, ids, velocities and contacts.
+     * @param {boolean} [options.stats=true] - Show the statistics panel.
+     */
+    constructor(app, options = {}) {
+        this.app = app;
+        this.options = options;
+        this.contacts = []; // { x, y, nx, ny, time }
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.position = 'fixed';
+        this.canvas.style.pointerEvents = 'none';
+        this.canvas.style.zIndex = '10000';
+        this.canvas.style.display = options.overlay === false ? 'none' : '';
+        this.panel = document.createElement('div');
+        this.panel.style.position = 'fixed';
+        this.panel.style.pointerEvents = 'none';
+        this.panel.style.zIndex = '10001';
+        this.panel.style.padding = '4px 6px';
+        this.panel.style.font = '12px monospace';
+        this.panel.style.whiteSpace = 'pre';
+        this.panel.style.color = '#0f0';
+        this.panel.style.background = 'rgba(0, 0, 0, 0.7)';
+        this.panel.style.display = options.stats === false ? 'none' : '';
+        document.body.appendChild(this.canvas);
+        document.body.appendChild(this.panel);
+
+        this._onCollide = event => {
+            this.contacts.push({
+                x: event.point.x,
+                y: event.point.y,
+                nx: event.normal.x,
+                ny: event.normal.y,
+                time: paperfoldScene.clock.now()
+            });
+        };
+        paperfoldScene.on('collide', this._onCollide);
+        paperfoldScene.addRenderer(this);
+    }
+
+    draw() {
+        const component = this.app.rootComponent;
+        const element = component && component.element;
+        if (!element || typeof element.getBoundingClientRect !== 'function') return;
+        // Line up with the padding box, where block coordinates start
+        const rect = element.getBoundingClientRect();
+        const left = rect.left + (element.clientLeft || 0);
+        const top = rect.top + (element.clientTop || 0);
+        this.panel.style.left = `${left}px`;
+        this.panel.style.top = `${top}px`;
+        if (this.options.stats !== false) {
+            const stats = paperfoldScene.stats;
+            this.panel.textContent = [
+                `FPS ${stats.fps.toFixed(0)}`,
+                `Frame ${stats.frameTime.toFixed(1)} ms (work ${stats.workTime.toFixed(1)} ms)`,
+                `Animations ${stats.animations}`,
+                `Collision checks ${stats.collisionChecks}`
+            ].join('\n');
         }
-        else if (boundary === 'bounce') {
-            let bounced = false;
-            if (blockToMove.shape === 'square') {
-                if (blockToMove.x <= 0) {
-                    blockToMove.x = 0;
-                    currentSpeedX *= -1;
-                    bounced = true;
-                } else if (blockToMove.x + blockToMove.actualWidth >= screenWidth) {
-                    blockToMove.x = screenWidth - blockToMove.actualWidth;
-                    currentSpeedX *= -1;
-                    bounced = true;
-                }
-                if (blockToMove.y <= 0) {
-                    blockToMove.y = 0;
-                    currentSpeedY *= -1;
-                    bounced = true;
-                } else if (blockToMove.y + blockToMove.actualHeight >= screenHeight) {
-                    blockToMove.y = screenHeight - blockToMove.actualHeight;
-                    currentSpeedY *= -1;
-                    bounced = true;
-                }
-            } else if (blockToMove.shape === 'circle') {
-                if (blockToMove.x - blockToMove.radiusX <= 0) {
-                    blockToMove.x = blockToMove.radiusX;
-                    currentSpeedX *= -1;
-                    bounced = true;
-                } else if (blockToMove.x + blockToMove.radiusX >= screenWidth) {
-                    blockToMove.x = screenWidth - blockToMove.radiusX;
-                    currentSpeedX *= -1;
-                    bounced = true;
-                }
-                if (blockToMove.y - blockToMove.radiusY <= 0) {
-                    blockToMove.y = blockToMove.radiusY;
-                    currentSpeedY *= -1;
-                    bounced = true;
-                } else if (blockToMove.y + blockToMove.radiusY >= screenHeight) {
-                    blockToMove.y = screenHeight - blockToMove.radiusY;
-                    currentSpeedY *= -1;
-                    bounced = true;
-                }
-            }
+        if (this.options.overlay !== false) {
+            this.canvas.style.left = `${left}px`;
+            this.canvas.style.top = `${top}px`;
+            this._drawOverlay(component);
+        }
+    }
 
-            if (bounced) {
-                animationData.angle = Math.atan2(currentSpeedY, currentSpeedX) * 180 / Math.PI;
-                animationData.currentSpeedX = currentSpeedX;
-                animationData.currentSpeedY = currentSpeedY;
-            }
-        } else { // 'pass' behavior
-            if (blockToMove.shape === 'square') {
-                const worldWidth = screenWidth + blockToMove.actualWidth;
-                const worldHeight = screenHeight + blockToMove.actualHeight;
-                blockToMove.x = positiveModulo(blockToMove.x + blockToMove.actualWidth, worldWidth) - blockToMove.actualWidth;
-                blockToMove.y = positiveModulo(blockToMove.y + blockToMove.actualHeight, worldHeight) - blockToMove.actualHeight;
-            } else if (blockToMove.shape === 'circle') {
-                const worldWidth = screenWidth + 2 * blockToMove.radiusX;
-                const worldHeight = screenHeight + 2 * blockToMove.radiusY;
-                blockToMove.x = positiveModulo(blockToMove.x + blockToMove.radiusX, worldWidth) - blockToMove.radiusX;
-                blockToMove.y = positiveModulo(blockToMove.y + blockToMove.radiusY, worldHeight) - blockToMove.radiusY;
-            }
-        }
-
-        // Inter-block collision logic
-        if (collision !== 'pass') { // Only perform collision checks if not 'pass'
-            for (const otherBlock of allBlocks) {
-                if (blockToMove.id === otherBlock.id) continue; // Don't collide with self
-
-                // Only handle circle-circle collision for now
-                if (blockToMove.shape === 'circle' && otherBlock.shape === 'circle') {
-                    const dx = otherBlock.x - blockToMove.x;
-                    const dy = otherBlock.y - blockToMove.y;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    const minDistance = blockToMove.radiusX + otherBlock.radiusX;
-
-                    if (distance < minDistance) {
-                        // Collision detected
-                        const blockToMoveAnimData = activeBlockAnimations.get(blockToMove.id);
-                        const otherBlockAnimData = activeBlockAnimations.get(otherBlock.id);
-
-                        if (!blockToMoveAnimData || !otherBlockAnimData) continue; // Ensure animation data exists
-
-                        if (collision === 'stop') {
-                            // Stop both blocks
-                            blockToMoveAnimData.currentSpeedX = 0;
-                            blockToMoveAnimData.currentSpeedY = 0;
-                            otherBlockAnimData.currentSpeedX = 0;
-                            otherBlockAnimData.currentSpeedY = 0;
-
-                            // Separate the blocks to prevent sticking
-                            const overlap = minDistance - distance;
-                            const separationX = overlap * (dx / distance);
-                            const separationY = overlap * (dy / distance);
-
-                            blockToMove.x -= separationX * 0.5;
-                            blockToMove.y -= separationY * 0.5;
-                            otherBlock.x += separationX * 0.5;
-                            otherBlock.y += separationY * 0.5;
-
-                            // Update visuals for both blocks immediately
-                            owningComponent.updateBlockVisuals(blockToMove.id, blockToMove);
-                            owningComponent.updateBlockVisuals(otherBlock.id, otherBlock);
-
-                            // Stop animation frames for both blocks
-                            stopMovingBlock(blockToMove.id);
-                            stopMovingBlock(otherBlock.id);
-
-                        } else if (collision === 'bounce') {
-                            let v1x = blockToMoveAnimData.currentSpeedX;
-                            let v1y = blockToMoveAnimData.currentSpeedY;
-                            let v2x = otherBlockAnimData.currentSpeedX;
-                            let v2y = otherBlockAnimData.currentSpeedY;
-
-                            const nx = dx / distance; // Normal X
-                            const ny = dy / distance; // Normal Y
-
-                            const tx = -ny; // Tangent X
-                            const ty = nx;  // Tangent Y
-
-                            // Project velocities onto normal and tangent axes
-                            const dp_norm1 = v1x * nx + v1y * ny;
-                            const dp_tan1 = v1x * tx + v1y * ty;
-                            const dp_norm2 = v2x * nx + v2y * ny;
-                            const dp_tan2 = v2x * tx + v2y * ty;
-
-                            // Exchange normal velocities (for elastic collision, assuming equal mass)
-                            const new_dp_norm1 = dp_norm2;
-                            const new_dp_norm2 = dp_norm1;
-
-                            // Convert scalar normal and tangent velocities back to vectors
-                            const new_v1x = new_dp_norm1 * nx + dp_tan1 * tx;
-                            const new_v1y = new_dp_norm1 * ny + dp_tan1 * ty;
-                            const new_v2x = new_dp_norm2 * nx + dp_tan2 * tx;
-                            const new_v2y = new_dp_norm2 * ny + dp_tan2 * ty;
-
-                            // Update current speeds for this block and the other block
-                            blockToMoveAnimData.currentSpeedX = new_v1x;
-                            blockToMoveAnimData.currentSpeedY = new_v1y;
-                            otherBlockAnimData.currentSpeedX = new_v2x;
-                            otherBlockAnimData.currentSpeedY = new_v2y;
-
-                            // Update angles for next frame (important for resize re-initiation)
-                            blockToMoveAnimData.angle = Math.atan2(new_v1y, new_v1x) * 180 / Math.PI;
-                            otherBlockAnimData.angle = Math.atan2(new_v2y, new_v2x) * 180 / Math.PI;
-
-                            // Separate the blocks to prevent sticking
-                            const overlap = minDistance - distance;
-                            const separationX = overlap * nx;
-                            const separationY = overlap * ny;
-
-                            blockToMove.x -= separationX * 0.5; // Move half of overlap
-                            blockToMove.y -= separationY * 0.5;
-                            otherBlock.x += separationX * 0.5; // Move other half of overlap
-                            otherBlock.y += separationY * 0.5;
-
-                            // Update visuals for both blocks immediately
-                            owningComponent.updateBlockVisuals(blockToMove.id, blockToMove);
-                            owningComponent.updateBlockVisuals(otherBlock.id, otherBlock);
-                        }
-                    }
-                }
+    /**
+     * Removes the overlay from the page and stops listening to the scene.
+     */
+    remove() {
+        paperfoldScene.off('collide', this._onCollide);
+        paperfoldScene.removeRenderer(this);
+        [this.canvas, this.panel].forEach(node => {
+            if (node.parentNode) {
+                node.parentNode.removeChild(node);
             }
-        }
+        });
+    }
 
-        owningComponent.updateBlockVisuals(blockId, blockToMove);
+    _drawOverlay(component) {
+        const canvas = this.canvas;
+        const area = component.getContainerBounds();
+        const pixelRatio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        const width = area.maxX - area.minX;
+        const height = area.maxY - area.minY;
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        canvas.width = Math.round(width * pixelRatio);
+        canvas.height = Math.round(height * pixelRatio);
+        const context = canvas.getContext && canvas.getContext('2d');
+        if (!context) return; // No canvas support (e.g. a test DOM)
 
-        if (stopAnimation) {
-            cancelAnimationFrame(activeBlockAnimations.get(blockId).animationFrameId);
-            activeBlockAnimations.delete(blockId);
-            return;
+        const camera = component.camera;
+        const zoom = camera ? camera.zoom : 1;
+        const scale = pixelRatio * zoom;
+        context.setTransform(scale, 0, 0, scale, camera ? -camera.renderX * scale : 0, camera ? -camera.renderY * scale : 0);
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.lineWidth = 1 / zoom;
+        context.font = `${10 / zoom}px monospace`;
+        context.textBaseline = 'bottom';
+
+        let blocks;
+        if (typeof component.getRenderedBlocks === 'function') {
+            blocks = component.getRenderedBlocks();
+        } else {
+            // Only the scene's index to go on; group children are reached through their group
+            const view = camera ? camera.getViewBounds() : area;
+            blocks = paperfoldScene.queryRect(view).filter(block => !block.parent);
         }
-        
-        if (activeBlockAnimations.has(blockId)) {
-            const animationFrameId = requestAnimationFrame(animate);
-            activeBlockAnimations.get(blockId).animationFrameId = animationFrameId;
+        blocks.forEach(block => this._drawBlock(context, block, zoom));
+
+        const now = paperfoldScene.clock.now();
+        this.contacts = this.contacts.filter(contact => now - contact.time < DEBUG_CONTACT_TIME);
+        context.strokeStyle = 'red';
+        context.fillStyle = 'red';
+        this.contacts.forEach(contact => {
+            context.beginPath();
+            context.arc(contact.x, contact.y, 3 / zoom, 0, 2 * Math.PI);
+            context.fill();
+            this._drawArrow(context, contact.x, contact.y, contact.nx * 15 / zoom, contact.ny * 15 / zoom, zoom);
+        });
+    }
+
+    _drawBlock(context, block, zoom) {
+        if (block instanceof BlockGroup) {
+            block.children.forEach(child => this._drawBlock(context, child, zoom));
         }
-    };
+        if (block.opaque === 0) return; // e.g. a particle waiting in its pool
 
-    const animationData = {
-        animationFrameId: requestAnimationFrame(animate),
-        blockId: blockId,
-        owningComponent: owningComponent,
-        blockObject: blockObject,
-        angle: angle,
-        pps: pps,
-        lastTime: lastTime,
-        currentSpeedX: currentSpeedX,
-        currentSpeedY: currentSpeedY
-    };
-    activeBlockAnimations.set(blockId, animationData);
+        // A group child's bounds and velocity are in the group's coordinates
+        const toWorld = (x, y) => (block.parent ? block.parent.localToWorld(x, y) : { x: x, y: y });
+        const bounds = block.getBounds();
+        const min = toWorld(bounds.minX, bounds.minY);
+        const max = toWorld(bounds.maxX, bounds.maxY);
+        const entry = activeBlockAnimations.get(block.id);
+        const color = entry && entry.sleeping ? 'rgba(128, 128, 128, 0.9)' : 'rgba(0, 160, 255, 0.9)';
+        context.strokeStyle = color;
+        context.fillStyle = color;
+        context.strokeRect(min.x, min.y, max.x - min.x, max.y - min.y);
+        context.fillText(block.id, min.x, min.y);
+        if (entry && (entry.currentSpeedX !== 0 || entry.currentSpeedY !== 0)) {
+            const center = block.getCenter();
+            const start = toWorld(center.x, center.y);
+            const end = toWorld(center.x + entry.currentSpeedX * DEBUG_VELOCITY_TIME,
+                center.y + entry.currentSpeedY * DEBUG_VELOCITY_TIME);
+            this._drawArrow(context, start.x, start.y, end.x - start.x, end.y - start.y, zoom);
+        }
+    }
 
-    if (duration > 0) {
-        setTimeout(() => {
-            stopMovingBlock(blockId);
-        }, duration);
+    _drawArrow(context, x, y, dx, dy, zoom) {
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return;
+        const head = Math.min(6 / zoom, length / 2);
+        const ux = dx / length;
+        const uy = dy / length;
+        context.beginPath();
+        context.moveTo(x, y);
+        context.lineTo(x + dx, y + dy);
+        context.moveTo(x + dx - head * (ux - uy / 2), y + dy - head * (uy + ux / 2));
+        context.lineTo(x + dx, y + dy);
+        context.lineTo(x + dx - head * (ux + uy / 2), y + dy - head * (uy - ux / 2));
+        context.stroke();
     }
 }
 
+// --- Headless Mode ---
+
 /**
- * Stops ongoing movement for a block initiated by moveBlock.
- * @param {string} blockId - The ID of the block to stop.
+ * Owns blocks without a page, to run the simulation under Node or in tests: pass it to
+ * moveBlock and the other block functions as the owning component. Its blocks move inside a
+ * fixed-size area and are not drawn, and it is never mounted. Run the scene with
+ * `paperfoldScene.advance(ms)` and call `seedRandom(seed)` first for repeatable ids.
  */
-function stopMovingBlock(blockId) {
-    if (activeBlockAnimations.has(blockId)) {
-        cancelAnimationFrame(activeBlockAnimations.get(blockId).animationFrameId);
-        activeBlockAnimations.delete(blockId);
+class HeadlessComponent extends Component {
+    /**
+     * @param {object} [props]
+     * @param {number} [props.width=800] - Width of the area the blocks move in.
+     * @param {number} [props.height=600] - Height of the area the blocks move in.
+     */
+    constructor(props = {}) {
+        super(props);
+        this.renderer = paperfoldNullRenderer;
+        this._containerSize = {
+            width: props.width === undefined ? 800 : props.width,
+            height: props.height === undefined ? 600 : props.height
+        };
+    }
+
+    render() {
+        return null;
     }
 }
 
@@ -524,16 +5497,20 @@ class DefaultAnimationComponent extends Component {
     constructor(props) {
         super(props);
         this.state = {
-            animatedBlocks: {}
+            animatedBlocks: {},
+            emitters: []
         };
 
         // If initial block configurations are provided, use them
         if (props.initialBlockConfigs && Array.isArray(props.initialBlockConfigs)) {
             props.initialBlockConfigs.forEach(config => {
-                const block = new Block(config.blockOptions);
+                const block = createBlock(config.blockOptions);
                 this.state.animatedBlocks[block.id] = block;
             });
         }
+        if (props.camera) {
+            this.setCamera(props.camera instanceof Camera ? props.camera : new Camera(props.camera));
+        }
     }
 
     render() {
@@ -543,38 +5520,23 @@ class DefaultAnimationComponent extends Component {
         container.style.position = 'relative';
 
         this.blockElements.clear(); // Clear map before re-rendering
-
-        Object.values(this.state.animatedBlocks).forEach(block => {
-            const blockElement = document.createElement('div');
-            blockElement.id = block.id;
-            // You might want a more robust way to assign classes or styles based on block properties
-            blockElement.className = `block-element ${block.shape}`; // Example: 'block-element circle' or 'block-element square'
-            if (block.borderColor) { // Add a class based on color for specific styling
-                blockElement.classList.add(`${block.borderColor.replace(/[^a-zA-Z0-9]/g, '')}-border`);
-            }
-            
-            blockElement.style.width = `${block.actualWidth}px`;
-            blockElement.style.height = `${block.actualHeight}px`;
-            blockElement.style.backgroundColor = block.borderColor;
-            blockElement.style.border = `${block.borderWidth}px solid ${block.borderColor}`;
-            blockElement.style.opacity = block.opaque / 100;
-            
-            let visualX = block.x;
-            let visualY = block.y;
-            if (block.shape === 'circle') {
-                visualX = block.x - block.radiusX;
-                visualY = block.y - block.radiusY;
-            }
-            blockElement.style.transform = `translate(${visualX}px, ${visualY}px)`;
-
-            container.appendChild(blockElement);
-            this.blockElements.set(block.id, blockElement);
-        });
+        this.renderer.renderBlocks(this, container, this.getRenderedBlocks());
         return container;
     }
 
+    /**
+     * The blocks this component draws: its animated blocks, then its emitters' particles.
+     * @returns {Array<Block>}
+     */
+    getRenderedBlocks() {
+        const particles = [];
+        this.state.emitters.forEach(emitter => particles.push(...emitter.blocks));
+        return this.getBlocks().concat(particles);
+    }
+
     componentDidMount() {
         const allCurrentBlocks = Object.values(this.state.animatedBlocks);
+        this.pointerController = new PointerController(this, () => Object.values(this.state.animatedBlocks));
 
         // Start animations based on initialBlockConfigs
         if (this.props.initialBlockConfigs && Array.isArray(this.props.initialBlockConfigs)) {
@@ -594,62 +5556,200 @@ class DefaultAnimationComponent extends Component {
                 }
             });
         }
+    }
 
-        window.addEventListener('resize', () => {
-            Object.keys(this.state.animatedBlocks).forEach(blockId => {
-                stopMovingBlock(blockId);
-            });
-            // Re-start animations, preserving current states or re-initializing as per original configs
-            // For simplicity, re-using the initial configs for resize.
-            // In a more complex app, you'd store current animation state or re-calculate positions.
-            if (this.props.initialBlockConfigs && Array.isArray(this.props.initialBlockConfigs)) {
-                this.props.initialBlockConfigs.forEach(config => {
-                    const block = this.state.animatedBlocks[config.blockOptions.id];
-                    if (block) {
-                        // Reset block position on resize for consistent starting point if needed,
-                        // or just restart animation from current position. For this example,
-                        // we'll restart from initial config positions on resize.
-                        block.x = config.blockOptions.x;
-                        block.y = config.blockOptions.y;
-
-                        moveBlock(
-                            block,
-                            config.animationOptions.angle,
-                            config.animationOptions.pps,
-                            this,
-                            config.animationOptions.boundary,
-                            config.animationOptions.collision,
-                            config.animationOptions.duration,
-                            allCurrentBlocks
-                        );
-                    }
-                });
+    /**
+     * Keeps running animations going when the container changes size: positions and velocities
+     * stay as they are (or positions scale with the container when `props.resizeMode` is 'scale'),
+     * and blocks left outside an edge that doesn't let them pass are moved back inside. With a
+     * camera that has world bounds the blocks stay put and only the view is kept inside the world.
+     * @param {{width: number, height: number}} oldSize - The previous container size.
+     * @param {{width: number, height: number}} newSize - The new container size.
+     */
+    componentDidResize(oldSize, newSize) {
+        if (this.camera && this.camera.worldBounds) {
+            this.camera.panBy(0, 0); // Re-clamps the view to the world at its new size
+            return;
+        }
+        const scaleX = oldSize.width > 0 ? newSize.width / oldSize.width : 1;
+        const scaleY = oldSize.height > 0 ? newSize.height / oldSize.height : 1;
+
+        Object.values(this.state.animatedBlocks).forEach(block => {
+            const entry = activeBlockAnimations.get(block.id);
+            if (entry && entry.bounds) return; // Explicit bounds don't follow the container
+            const oldX = block.x;
+            const oldY = block.y;
+
+            if (this.props.resizeMode === 'scale') {
+                const center = block.getCenter();
+                block.centerOn(center.x * scaleX, center.y * scaleY);
+            }
+            clampBlockToBounds(block, this.getWorldBounds(), entry ? entry.boundaryModes : null);
+
+            if (entry) {
+                // Move the interpolation start along so the block doesn't streak across the resize
+                entry.prevX += block.x - oldX;
+                entry.prevY += block.y - oldY;
             }
+            paperfoldScene.updateBlockIndex(block);
+            this.updateBlockVisuals(block.id, block);
+        });
+    }
+
+    /**
+     * The component's blocks, without its emitters' particles (see serializeScene).
+     * @returns {Array<Block>}
+     */
+    getBlocks() {
+        return Object.values(this.state.animatedBlocks);
+    }
+
+    /**
+     * Replaces the component's blocks, e.g. with the ones restored by loadScene.
+     * @param {Array<Block>} blocks - The new blocks.
+     */
+    setBlocks(blocks) {
+        Object.keys(this.state.animatedBlocks).forEach(blockId => paperfoldScene.removeBlockIndex(blockId));
+        const animatedBlocks = {};
+        blocks.forEach(block => {
+            animatedBlocks[block.id] = block;
+            paperfoldScene.updateBlockIndex(block);
+        });
+        this.setState({ animatedBlocks: animatedBlocks });
+    }
+
+    /**
+     * Draws a particle emitter's particles with this component's blocks. The emitter is stopped
+     * when the component unmounts.
+     * @param {ParticleEmitter} emitter - The emitter; its owningComponent is set to this component.
+     */
+    addEmitter(emitter) {
+        emitter.owningComponent = this;
+        this.setState({ emitters: this.state.emitters.concat(emitter) });
+    }
+
+    /**
+     * Stops a particle emitter and stops drawing its particles.
+     * @param {ParticleEmitter} emitter - The emitter.
+     */
+    removeEmitter(emitter) {
+        emitter.cancel();
+        this.setState({ emitters: this.state.emitters.filter(other => other !== emitter) });
+    }
+
+    componentWillUnmount() {
+        // Their animations are stopped by _unmount; the blocks also have to leave the spatial index
+        Object.keys(this.state.animatedBlocks).forEach(blockId => {
+            paperfoldScene.removeBlockIndex(blockId);
         });
     }
 }
 
+/**
+ * Moves a block back inside a rectangle across every edge that doesn't let it pass.
+ * A block larger than the rectangle is aligned with its left/top edge.
+ * @param {Block} block - The block to move.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} area - The rectangle to keep it in.
+ * @param {object} [boundaryModes] - Mode per edge (see normalizeBoundary); every edge clamps when omitted.
+ */
+function clampBlockToBounds(block, area, boundaryModes) {
+    const clamps = edge => !boundaryModes || boundaryModes[edge] !== 'pass';
+    const bounds = block.getBounds();
+    let shiftX = 0;
+    let shiftY = 0;
+    if (clamps('right') && bounds.maxX > area.maxX) shiftX = area.maxX - bounds.maxX;
+    if (clamps('left') && bounds.minX + shiftX < area.minX) shiftX = area.minX - bounds.minX;
+    if (clamps('bottom') && bounds.maxY > area.maxY) shiftY = area.maxY - bounds.maxY;
+    if (clamps('top') && bounds.minY + shiftY < area.minY) shiftY = area.minY - bounds.minY;
+    block.moveBy(shiftX, shiftY);
+}
+
 /**
  * Initializes the Paperfold.js animation on the specified root element.
  * This function encapsulates the entire animation setup and allows for customization.
  * @param {string} appRootId - The ID of the HTML element where the animation should be rendered.
  * @param {Array<Object>} [blockConfigurations=[]] - An array of objects, each defining a block and its animation.
  * Each object should have:
- * - `blockOptions`: An object with properties for the Block constructor (e.g., id, shape, x, y, size, borderColor).
+ * - `blockOptions`: An object with properties for the Block constructor (e.g., id, shape, x, y, size, borderColor),
+ *   or for a BlockGroup with `shape: 'group'` and `children`.
  * - `animationOptions`: An object with properties for moveBlock (e.g., angle, pps, boundary, collision, duration).
+ * @param {object} [options={}] - Extra props for the DefaultAnimationComponent.
+ * @param {string} [options.resizeMode='keep'] - On container resize, 'keep' leaves blocks where they are,
+ * 'scale' moves them proportionally to the new size.
+ * @param {string|object} [options.renderer='dom'] - 'dom' or 'canvas' (see PaperfoldApp).
+ * @param {Camera|object} [options.camera] - A camera, or options for one, to view a world larger
+ * than the container (see Camera).
+ * @param {boolean|object} [options.debug=false] - Show the debug overlay (see PaperfoldApp#setDebug).
  */
-function initializePaperfoldAnimation(appRootId, blockConfigurations = []) {
+function initializePaperfoldAnimation(appRootId, blockConfigurations = [], options = {}) {
     window.onload = function() {
         const appRoot = document.getElementById(appRootId);
         if (appRoot) {
-            // Pass blockConfigurations as props to the DefaultAnimationComponent
-            new PaperfoldApp(class extends DefaultAnimationComponent {
-                constructor(props) {
-                    super({ ...props, initialBlockConfigs: blockConfigurations });
-                }
-            }, appRoot);
+            const { renderer, debug, ...props } = options;
+            new PaperfoldApp(DefaultAnimationComponent, appRoot, {
+                ...props,
+                initialBlockConfigs: blockConfigurations
+            }, { renderer: renderer, debug: debug });
         } else {
             console.error(`Paperfold.js: App container element with ID '${appRootId}' not found.`);
         }
     };
 }
+
+// --- Module Exports ---
+
+// Loaded with a plain <script> tag, everything above is global. Under Node the same names are
+// exported, for require() and for named imports from ES modules.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Component,
+        PaperfoldApp,
+        Block,
+        BlockGroup,
+        BLOCK_SHAPES,
+        createBlock,
+        setBlockLevel,
+        recordBlockOwners,
+        getOwningComponent,
+        seedRandom,
+        paperfoldRandom,
+        generateId,
+        EventEmitter,
+        createPaperfoldEvent,
+        ManualClock,
+        browserClock,
+        Scene,
+        paperfoldScene,
+        activeBlockAnimations,
+        detectBlockCollision,
+        blockContainsPoint,
+        moveBlock,
+        stopMovingBlock,
+        applyImpulse,
+        applyForce,
+        getBlocksInRect,
+        getBlocksAtPoint,
+        spinBlock,
+        serializeScene,
+        loadScene,
+        SCENE_FORMAT_VERSION,
+        Easing,
+        cubicBezierEasing,
+        animateBlock,
+        Timeline,
+        Path,
+        parseSvgPath,
+        moveBlockAlongPath,
+        ParticleEmitter,
+        PointerController,
+        Camera,
+        DomRenderer,
+        CanvasRenderer,
+        DebugOverlay,
+        NullRenderer,
+        createRenderer,
+        HeadlessComponent,
+        DefaultAnimationComponent,
+        initializePaperfoldAnimation
+    };
+}
@@ -0,0 +1,153 @@
+// Runs with Node's test runner: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPaperfold } = require('./support/paperfold.js');
+
+const {
+    document,
+    Block,
+    Component,
+    PaperfoldApp,
+    DefaultAnimationComponent,
+    ManualClock,
+    paperfoldScene,
+    animateBlock,
+    stopMovingBlock,
+    serializeScene,
+    loadScene
+} = loadPaperfold([
+    'Block', 'Component', 'PaperfoldApp', 'DefaultAnimationComponent', 'ManualClock', 'paperfoldScene',
+    'animateBlock', 'stopMovingBlock', 'serializeScene', 'loadScene'
+]);
+
+class Hud extends Component {
+    constructor(props) {
+        super(props);
+        this.state = { n: 0 };
+    }
+
+    render() {
+        const element = document.createElement('div');
+        element.textContent = `hud ${this.state.n}`;
+        return element;
+    }
+}
+
+class Root extends Component {
+    render() {
+        const element = document.createElement('div');
+        element.appendChild(this.renderChild(Hud, {}, 'hud'));
+        const title = document.createElement('div');
+        title.textContent = this.props.title;
+        element.appendChild(title);
+        return element;
+    }
+}
+
+test('a child rendered before an unkeyed sibling of the same tag keeps its root element', () => {
+    const rootElement = document.createElement('div');
+    document.body.appendChild(rootElement);
+    const app = new PaperfoldApp(Root, rootElement, { title: 'a' });
+    const root = app.rootComponent;
+    const hud = root.children.get('hud');
+
+    app.setProps({ title: 'b' });
+    assert.strictEqual(root.children.get('hud'), hud);
+    assert.ok(root.element.contains(hud.element));
+    assert.strictEqual(root.element.children[0], hud.element);
+    assert.strictEqual(root.element.children[1].textContent, 'b');
+    assert.strictEqual(root.element.children.length, 2);
+
+    hud.setState({ n: 5 });
+    assert.ok(root.element.contains(hud.element));
+    assert.strictEqual(root.element.children[0].textContent, 'hud 5');
+    assert.strictEqual(root.element.children[1].textContent, 'b');
+
+    app.destroy();
+});
+
+test('animateBlock updates the element of a block its component draws without moving it', () => {
+    const clock = new ManualClock();
+    paperfoldScene.setClock(clock);
+    const rootElement = document.createElement('div');
+    document.body.appendChild(rootElement);
+    const app = new PaperfoldApp(DefaultAnimationComponent, rootElement, { initialBlockConfigs: [] });
+    const block = new Block({ id: 'still', x: 10, y: 10, size: 20 });
+    app.rootComponent.setBlocks([block]);
+
+    const tween = animateBlock(block, { opaque: 0 }, { duration: 100 });
+    assert.ok(tween);
+    clock.advance(50);
+    clock.advance(100);
+    assert.strictEqual(block.opaque, 0);
+    assert.strictEqual(Number(app.rootComponent.blockElements.get('still').style.opacity), 0);
+
+    app.destroy();
+});
+
+test('animateBlock reports a block no component draws', () => {
+    const errors = [];
+    const consoleError = console.error;
+    console.error = message => errors.push(message);
+    try {
+        assert.strictEqual(animateBlock(new Block({ id: 'loose' }), { opaque: 0 }), null);
+    } finally {
+        console.error = consoleError;
+    }
+    assert.match(errors.join(), /No component draws block 'loose'/);
+});
+
+test('a component\'s scene keeps its blocks that are not moving', () => {
+    const clock = new ManualClock();
+    paperfoldScene.setClock(clock);
+    const rootElement = document.createElement('div');
+    document.body.appendChild(rootElement);
+    const configs = [{
+        blockOptions: { id: 'mover', x: 10, y: 10, size: 20 },
+        animationOptions: { angle: 0, pps: 50 }
+    }];
+    const app = new PaperfoldApp(DefaultAnimationComponent, rootElement, { initialBlockConfigs: configs });
+    const component = app.rootComponent;
+    component.setBlocks(component.getBlocks().concat(new Block({ id: 'still', x: 200, y: 10, size: 20 })));
+
+    let saved = JSON.parse(serializeScene(component));
+    assert.strictEqual(saved.blocks.map(block => block.id).join(), 'mover,still');
+    assert.strictEqual(saved.animations.map(animation => animation.blockId).join(), 'mover');
+
+    stopMovingBlock('mover');
+    saved = JSON.parse(serializeScene(component));
+    assert.strictEqual(saved.blocks.map(block => block.id).join(), 'mover,still');
+    assert.strictEqual(saved.animations.length, 0);
+    loadScene(saved, component);
+    assert.strictEqual(component.getBlocks().map(block => block.id).join(), 'mover,still');
+
+    app.destroy();
+});
+
+test('the DOM renderer clips a polygon\'s layers, not the element carrying its border and shadow', () => {
+    const rootElement = document.createElement('div');
+    document.body.appendChild(rootElement);
+    const app = new PaperfoldApp(DefaultAnimationComponent, rootElement, { initialBlockConfigs: [] });
+    app.rootComponent.setBlocks([new Block({
+        id: 'tri',
+        shape: 'triangle',
+        size: 40,
+        borderWidth: 2,
+        borderColor: 'black',
+        fillColor: 'red',
+        shadow: { x: 1, y: 2, blur: 3, color: 'blue' }
+    })]);
+    const element = app.rootComponent.blockElements.get('tri');
+    const [borderLayer, fillLayer] = element.children;
+
+    assert.strictEqual(element.style.clipPath, undefined);
+    assert.strictEqual(element.style.filter, 'drop-shadow(1px 2px 3px blue)');
+    assert.strictEqual(borderLayer.style.background, 'black');
+    assert.strictEqual(borderLayer.style.width, '44px');
+    assert.strictEqual(fillLayer.style.background, 'red');
+    assert.strictEqual(fillLayer.style.width, '40px');
+    assert.match(fillLayer.style.clipPath, /^polygon\(/);
+    assert.strictEqual(borderLayer.style.clipPath, fillLayer.style.clipPath);
+
+    app.destroy();
+});
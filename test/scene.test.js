@@ -0,0 +1,122 @@
+// Runs with Node's test runner: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPaperfold } = require('./support/paperfold.js');
+
+const {
+    Block,
+    BlockGroup,
+    SpatialHash,
+    ManualClock,
+    paperfoldScene,
+    moveBlock,
+    serializeScene,
+    loadScene,
+    activeBlockAnimations
+} = loadPaperfold([
+    'Block', 'BlockGroup', 'SpatialHash', 'ManualClock', 'paperfoldScene',
+    'moveBlock', 'serializeScene', 'loadScene', 'activeBlockAnimations'
+]);
+
+// Owns the blocks in place of a mounted component
+const world = {
+    updateBlockVisuals() {},
+    getContainerBounds: () => ({ minX: 0, minY: 0, maxX: 400, maxY: 300 })
+};
+
+test('a moving group and the block it collides with load back', () => {
+    const clock = new ManualClock();
+    paperfoldScene.setClock(clock);
+    const group = new BlockGroup({
+        id: 'g',
+        x: 100,
+        y: 100,
+        children: [{ id: 'k', x: 0, y: 0, size: 10 }, { id: 'k2', x: 20, y: 0, size: 10 }]
+    });
+    const wall = new Block({ id: 'wall', x: 300, y: 100, size: 10, static: true });
+    moveBlock(group, 0, 100, world, 'bounce', 'bounce', 0, [group, wall]);
+    clock.advance(100);
+
+    const saved = JSON.parse(serializeScene());
+    assert.strictEqual(saved.blocks.map(block => block.id).join(), 'g,wall');
+    assert.strictEqual(saved.blocks[0].children.map(block => block.id).join(), 'k,k2');
+
+    const blocks = loadScene(saved, world);
+    assert.strictEqual(blocks.length, 2);
+    const entry = activeBlockAnimations.get('g');
+    assert.strictEqual(entry.blockObject, blocks[0]);
+    assert.strictEqual(Array.from(entry.collisionBlockIds).join(), 'g,wall');
+    assert.strictEqual(entry.currentSpeedX, saved.animations[0].velocity.x);
+
+    saved.animations[0].blockId = 'k';
+    assert.throws(() => loadScene(saved, world), /animations\[0\]\.blockId 'k' is inside a group/);
+
+    paperfoldScene.removeOwnedBy(world);
+});
+
+test('blocks inside a group move, bounce and collide as their group', () => {
+    const clock = new ManualClock();
+    paperfoldScene.setClock(clock);
+    const errors = [];
+    const consoleError = console.error;
+    console.error = message => errors.push(message);
+    const group = new BlockGroup({
+        id: 'g',
+        x: 300,
+        y: 0,
+        children: [{ id: 'k', x: 150, y: 0, size: 10 }, { id: 'k2', x: 0, y: 200, size: 10 }]
+    });
+    try {
+        moveBlock(group.children[0], 0, 200, world, 'bounce', 'pass', 0);
+    } finally {
+        console.error = consoleError;
+    }
+    assert.match(errors.join(), /Block 'k' is inside a group/);
+    assert.strictEqual(activeBlockAnimations.has('k'), false);
+
+    // Near k2's local position, far from where it is drawn (300, 200)
+    const top = new Block({ id: 'top', x: 0, y: 195, size: 10 });
+    const collisions = [];
+    moveBlock(top, 0, 50, world, 'pass', 'bounce', 1000, [top, group.children[1]], {
+        onCollide: event => collisions.push(event.blockB.id)
+    });
+    moveBlock(group, 0, 200, world, 'bounce', 'pass', 0);
+    for (let frame = 0; frame < 30; frame++) {
+        clock.advance(1000 / 60);
+    }
+    const bounds = group.getBounds();
+    assert.ok(bounds.minX >= 0 && bounds.maxX <= 400, `group at ${bounds.minX}..${bounds.maxX}`);
+    assert.strictEqual(collisions.length, 0);
+
+    paperfoldScene.removeOwnedBy(world);
+});
+
+test('the spatial hash answers huge and unbounded rectangles from its entries', { timeout: 5000 }, () => {
+    const index = new SpatialHash(100);
+    index.update(new Block({ id: 'near', x: 10, y: 10, size: 20 }));
+    index.update(new Block({ id: 'far', x: 5000, y: -3000, size: 20 }));
+    const ids = rect => index.query(rect).map(block => block.id).sort().join();
+
+    assert.strictEqual(ids({ minX: -1e9, minY: -1e9, maxX: 1e9, maxY: 1e9 }), 'far,near');
+    assert.strictEqual(ids({ minX: -Infinity, minY: -Infinity, maxX: Infinity, maxY: Infinity }), 'far,near');
+    assert.strictEqual(ids({ minX: 0, minY: 0, maxX: 1e9, maxY: 1e9 }), 'near');
+    assert.strictEqual(ids({ minX: 0, minY: 0, maxX: 50, maxY: 50 }), 'near');
+});
+
+test('a bouncing block sliding along a wall does not hit it; one moving into it does once', () => {
+    const clock = new ManualClock();
+    paperfoldScene.setClock(clock);
+    const edges = [];
+    const onBoundary = event => edges.push(`${event.block.id}:${event.edge}`);
+    paperfoldScene.on('boundary', onBoundary);
+    moveBlock(new Block({ id: 'slider', x: 200, y: 0, size: 20 }), 0, 200, world, 'bounce', 'none', 0);
+    moveBlock(new Block({ id: 'faller', x: 200, y: 100, size: 20 }), -90, 200, world, 'bounce', 'none', 0);
+    for (let frame = 0; frame < 120; frame++) {
+        clock.advance(1000 / 60);
+    }
+
+    assert.strictEqual(edges.filter(edge => edge.startsWith('slider:')).join(), 'slider:right');
+    assert.strictEqual(edges.filter(edge => edge.startsWith('faller:')).join(), 'faller:top,faller:bottom');
+    paperfoldScene.off('boundary', onBoundary);
+    paperfoldScene.removeOwnedBy(world);
+});
@@ -0,0 +1,140 @@
+// Loads paperfold.js the way a page does, as a plain script, into a fresh context with a minimal
+// DOM: enough for components to render and reconcile, without a browser or a DOM package.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', '..', 'paperfold.js'), 'utf8');
+
+class StubNode {
+    constructor(nodeType, nodeName) {
+        this.nodeType = nodeType;
+        this.nodeName = nodeName;
+        this.childNodes = [];
+        this.parentNode = null;
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    }
+
+    get textContent() {
+        if (this.nodeType !== 1) return this.nodeValue;
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.childNodes.slice().forEach(node => this.removeChild(node));
+        if (value !== '') {
+            this.appendChild(new StubText(String(value)));
+        }
+    }
+
+    set innerHTML(value) {
+        this.textContent = value;
+    }
+
+    appendChild(node) {
+        return this.insertBefore(node, null);
+    }
+
+    insertBefore(node, reference) {
+        if (node.parentNode) {
+            node.parentNode.removeChild(node);
+        }
+        const index = reference ? this.childNodes.indexOf(reference) : this.childNodes.length;
+        this.childNodes.splice(index, 0, node);
+        node.parentNode = this;
+        return node;
+    }
+
+    removeChild(node) {
+        this.childNodes.splice(this.childNodes.indexOf(node), 1);
+        node.parentNode = null;
+        return node;
+    }
+
+    replaceChild(node, old) {
+        this.insertBefore(node, old);
+        return this.removeChild(old);
+    }
+
+    contains(node) {
+        for (; node; node = node.parentNode) {
+            if (node === this) return true;
+        }
+        return false;
+    }
+}
+
+class StubText extends StubNode {
+    constructor(value) {
+        super(3, '#text');
+        this.nodeValue = value;
+    }
+}
+
+class StubElement extends StubNode {
+    constructor(tagName) {
+        super(1, tagName.toUpperCase());
+        this.attributes = [];
+        this.style = {};
+        this.clientWidth = 0;
+        this.clientHeight = 0;
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    set id(value) {
+        this.setAttribute('id', value);
+    }
+
+    getAttribute(name) {
+        const attribute = this.attributes.find(other => other.name === name);
+        return attribute ? attribute.value : null;
+    }
+
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+    }
+
+    setAttribute(name, value) {
+        const attribute = this.attributes.find(other => other.name === name);
+        if (attribute) {
+            attribute.value = String(value);
+        } else {
+            this.attributes.push({ name: name, value: String(value) });
+        }
+    }
+
+    removeAttribute(name) {
+        this.attributes = this.attributes.filter(other => other.name !== name);
+    }
+
+    addEventListener() {}
+
+    removeEventListener() {}
+}
+
+/**
+ * Runs paperfold.js in a new context and returns the requested globals, plus its `document`.
+ * @param {Array<string>} names - The globals to return, e.g. ['Component', 'PaperfoldApp'].
+ * @returns {object}
+ */
+function loadPaperfold(names) {
+    const document = {
+        body: new StubElement('body'),
+        createElement: tagName => new StubElement(tagName),
+        createTextNode: value => new StubText(String(value))
+    };
+    const window = { innerWidth: 800, innerHeight: 600, addEventListener() {}, removeEventListener() {} };
+    const context = vm.createContext({ window: window, document: document, console: console });
+    vm.runInContext(source, context, { filename: 'paperfold.js' });
+    const globals = vm.runInContext(`({ ${names.join(', ')} })`, context);
+    globals.document = document;
+    return globals;
+}
+
+module.exports = { loadPaperfold };